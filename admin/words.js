@@ -1,14 +0,0 @@
-/*global systemDictionary:true */
-/*
-+===================== DO NOT MODIFY ======================+
-| This file was generated by translate-adapter, please use |
-| `translate-adapter adminLanguages2words` to update it.   |
-+===================== DO NOT MODIFY ======================+
-*/
-'use strict';
-
-systemDictionary = {
-    "Allow to transfer errors if the adapter crash. Private data like usernames, passwords, tokens, ... will be NOT be transferd.": {"en": "Allow to transfer errors if the adapter crash. Private data like usernames, passwords, tokens, ... will be NOT be transferd.", "de": "Erlaube das weiterleiten von Fehlern wenn der Adapter abstürtzt. Private Daten wie z.B. Benutzername, Passwort, Token, ... werden NICHT übertragen.", "ru": "Разрешить передавать ошибки в случае сбоя адаптера. Личные данные, такие как имена пользователей, пароли, токены, ... НЕ будут передаваться.", "pt": "Permitir a transferência de erros se o adaptador travar. Dados privados como nomes de usuário, senhas, tokens, ... NÃO serão transferidos.", "nl": "Sta toe om fouten over te dragen als de adapter crasht. Privégegevens zoals gebruikersnamen, wachtwoorden, tokens, ... worden NIET overgedragen.", "fr": "Permet de transférer des erreurs en cas de panne de l'adaptateur. Les données privées comme les noms d'utilisateur, les mots de passe, les jetons, ... ne seront PAS transférées.", "it": "Consentire il trasferimento degli errori in caso di arresto anomalo dell'adattatore. I dati privati come nomi utente, password, token, ... NON saranno trasferiti.", "es": "Permita transferir errores si el adaptador falla. NO se transferirán datos privados como nombres de usuario, contraseñas, tokens, ...", "pl": "Zezwól na przesyłanie błędów w przypadku awarii adaptera. Prywatne dane, takie jak nazwy użytkowników, hasła, tokeny, ... NIE zostaną przeniesione.", "uk": "Дозволяє передавати помилки в разі збою адаптера. Особисті дані, такі як імена користувачів, паролі, токени, ... НЕ будуть передані.", "zh-cn": "如果适配器崩溃，则允许传输错误。用户名，密码，令牌等私密数据将不会被传输。"},
-    "County": {                                       "en": "County",                                           "de": "Region",                                           "ru": "округ",                                            "pt": "município",                                        "nl": "Provincie",                                        "fr": "Comté",                                            "it": "contea",                                           "es": "Condado",                                          "pl": "Hrabstwo",                                         "uk": "графство",                                         "zh-cn": "县"},
-    "Main settings": {                                "en": "Main settings",                                    "de": "Haupteinstellungen",                               "ru": "Основные параметры",                               "pt": "Configurações principais",                         "nl": "Belangrijkste instellingen",                       "fr": "Réglages principaux",                              "it": "Impostazioni principali",                          "es": "Ajustes principales",                              "pl": "Ustawienia główne",                                "uk": "Основні налаштування",                             "zh-cn": "主要设置"},
-};
\ No newline at end of file
@@ -0,0 +1,123 @@
+'use strict';
+
+// Daily digest of the pollen forecast for messaging adapters (telegram, pushover, email, signal, ...)
+
+const i18n = require('./i18n');
+
+/**
+ * @typedef {object} DigestRecipient
+ * @property {string} instance Instance of the messaging adapter, e.g. 'telegram.0'
+ * @property {string} recipient User, chat id, e-mail address, device or phone number, empty for the default of the instance
+ * @property {string[]} regions Region ids, the selected regions if empty
+ * @property {string[]} pollen Pollen types, all if empty
+ * @property {number} minLevel Minimum risk number (0 - 6) of relevant pollen
+ */
+
+/**
+ * @typedef {object} DigestRegion
+ * @property {string} name Name of the region
+ * @property {{day: 'today' | 'tomorrow', values: {pollen: string, index: string, number: number}[]}[]} days Risk of all pollen per day
+ */
+
+// Default minimum risk number: 4 (medium pollen concentration)
+const defaultLevel = 4;
+
+function getList(value) {
+    const list = Array.isArray(value) ? value : String(value || '').split(',');
+    return list.map((item) => String(item).trim()).filter((item) => item !== '');
+}
+
+/**
+ * Recipients of the configuration table, rows without instance are ignored
+ * @param {any[]} rows Rows of the table digestRecipients
+ * @returns {DigestRecipient[]}
+ */
+function getRecipients(rows) {
+    return (Array.isArray(rows) ? rows : []).filter((row) => row && String(row.instance || '').trim()).map((row) => ({
+        instance: String(row.instance).trim().replace(/^system\.adapter\./, ''),
+        recipient: String(row.recipient || '').trim(),
+        regions: getList(row.regions),
+        pollen: getList(row.pollen).map((pollen) => pollen.toLowerCase()),
+        minLevel: row.minLevel !== undefined && row.minLevel !== null && row.minLevel !== '' && !isNaN(row.minLevel) ? Number(row.minLevel) : defaultLevel
+    }));
+}
+
+/**
+ * Text of the digest with one line per region and day. Days without forecast (e.g. tomorrow before the update of
+ * DWD) are left out.
+ * @param {DigestRegion[]} regions The regions with the risk of all pollen
+ * @param {DigestRecipient} recipient The recipient with the filter of pollen and the minimum risk number
+ * @param {string} language Language code
+ * @param {boolean} [skipEmpty] Returns an empty text if no pollen reaches the minimum risk number
+ * @returns {string}
+ */
+function buildDigest(regions, recipient, language, skipEmpty) {
+    let relevant = false;
+    const lines = [i18n.getDigestText('title', language)];
+    for (const region of regions) {
+        lines.push('', region.name);
+        const days = region.days.filter((day) => day.values.some((value) => value.number >= 0));
+        if (days.length === 0) {
+            lines.push(i18n.getDigestText('nodata', language));
+        }
+        for (const day of days) {
+            const values = day.values
+                .filter((value) => (recipient.pollen.length === 0 || recipient.pollen.includes(value.pollen.toLowerCase())) && value.number >= 0 && value.number >= recipient.minLevel)
+                .sort((a, b) => b.number - a.number);
+            let text;
+            if (values.length > 0) {
+                relevant = true;
+                text = values.map((value) => i18n.getPollenName(value.pollen, language) + ' (' + i18n.getRiskText(value.index, undefined, language) + ')').join(', ');
+            } else {
+                text = i18n.getDigestText('nothing', language);
+            }
+            lines.push(i18n.getDigestText(day.day, language) + ': ' + text);
+        }
+    }
+    return relevant || !skipEmpty ? lines.join('\n') : '';
+}
+
+/**
+ * Message of sendTo in the format of the messaging adapter
+ * @param {string} instance Instance of the messaging adapter, e.g. 'telegram.0'
+ * @param {string} text The text of the digest
+ * @param {string} title Title or subject
+ * @param {string} [recipient] User, chat id, e-mail address, device or phone number
+ * @returns {Record<string, any>}
+ */
+function getMessage(instance, text, title, recipient) {
+    const message = {};
+    switch (instance.split('.')[0]) {
+        case 'telegram':
+            message.text = text;
+            if (recipient) message[/^-?\d+$/.test(recipient) ? 'chatId' : 'user'] = recipient;
+            break;
+        case 'pushover':
+            message.message = text;
+            message.title = title;
+            if (recipient) message.device = recipient;
+            break;
+        case 'email':
+            message.text = text;
+            message.subject = title;
+            if (recipient) message.to = recipient;
+            break;
+        case 'signal-cmb':
+        case 'whatsapp-cmb':
+            message.text = text;
+            if (recipient) message.phone = recipient;
+            break;
+        default:
+            message.text = text;
+            message.message = text;
+            message.title = title;
+            if (recipient) message.recipient = recipient;
+    }
+    return message;
+}
+
+module.exports = {
+    getRecipients,
+    buildDigest,
+    getMessage
+};
@@ -0,0 +1,109 @@
+'use strict';
+
+const { expect } = require('chai');
+const digest = require('./digest');
+
+// Risk of the given pollen per day, e.g. {today: {Birke: '2'}}; the risk number like the states index_*
+function getRegion(name, days) {
+    const numbers = { '-1': -1, '0': 0, '0-1': 1, '1': 2, '1-2': 3, '2': 4, '2-3': 5, '3': 6 };
+    return {
+        name: name,
+        days: Object.keys(days).map((day) => ({
+            day: day,
+            values: Object.keys(days[day]).map((pollen) => ({ pollen: pollen, index: days[day][pollen], number: numbers[days[day][pollen]] }))
+        }))
+    };
+}
+
+function getRecipient(recipient) {
+    return Object.assign({ instance: 'telegram.0', recipient: '', regions: [], pollen: [], minLevel: 4 }, recipient);
+}
+
+describe('digest', () => {
+    describe('getRecipients', () => {
+        it('reads the rows of the table', () => {
+            expect(digest.getRecipients([
+                { instance: 'system.adapter.telegram.0 ', recipient: ' Anna', regions: '11, 12', pollen: 'Birke,Graeser', minLevel: '2' },
+                { instance: 'email.0', regions: ['50'], pollen: [], minLevel: 0 }
+            ])).to.deep.equal([
+                { instance: 'telegram.0', recipient: 'Anna', regions: ['11', '12'], pollen: ['birke', 'graeser'], minLevel: 2 },
+                { instance: 'email.0', recipient: '', regions: ['50'], pollen: [], minLevel: 0 }
+            ]);
+        });
+
+        it('uses the default minimum risk number', () => {
+            expect(digest.getRecipients([{ instance: 'pushover.0' }, { instance: 'pushover.0', minLevel: '' }, { instance: 'pushover.0', minLevel: 'x' }])
+                .map((recipient) => recipient.minLevel)).to.deep.equal([4, 4, 4]);
+        });
+
+        it('ignores rows without instance', () => {
+            expect(digest.getRecipients([null, {}, { instance: ' ', recipient: 'Anna' }])).to.be.empty;
+            expect(digest.getRecipients(undefined)).to.be.empty;
+        });
+    });
+
+    describe('buildDigest', () => {
+        it('lists the relevant pollen per region and day with the highest risk first', () => {
+            const regions = [
+                getRegion('Schleswig-Holstein und Hamburg - Inseln und Marschen', { today: { Birke: '2', Erle: '0-1', Graeser: '3' }, tomorrow: { Birke: '1', Erle: '0' } }),
+                getRegion('Brandenburg und Berlin', { today: { Birke: '1-2' }, tomorrow: { Birke: '2-3' } })
+            ];
+            expect(digest.buildDigest(regions, getRecipient(), 'en')).to.equal([
+                'Pollen forecast',
+                '',
+                'Schleswig-Holstein und Hamburg - Inseln und Marschen',
+                'Today: Grasses (high pollen concentration), Birch (medium pollen concentration)',
+                'Tomorrow: no relevant pollen',
+                '',
+                'Brandenburg und Berlin',
+                'Today: no relevant pollen',
+                'Tomorrow: Birch (medium to high pollen concentration)'
+            ].join('\n'));
+        });
+
+        it('filters the pollen of the recipient and uses the language', () => {
+            const regions = [getRegion('Brandenburg und Berlin', { today: { Birke: '1', Graeser: '2', Roggen: '0-1' } })];
+            expect(digest.buildDigest(regions, getRecipient({ pollen: ['graeser', 'roggen'], minLevel: 1 }), 'de'))
+                .to.equal('Pollenflug-Vorhersage\n\nBrandenburg und Berlin\nHeute: Gräser (mittlere Belastung), Roggen (keine bis geringe Belastung)');
+        });
+
+        it('leaves out days without forecast', () => {
+            const regions = [
+                getRegion('Brandenburg und Berlin', { today: { Birke: '2' }, tomorrow: { Birke: '-1' } }),
+                getRegion('Mecklenburg-Vorpommern', { today: { Birke: '-1' }, tomorrow: { Birke: '-1' } })
+            ];
+            expect(digest.buildDigest(regions, getRecipient(), 'en'))
+                .to.equal('Pollen forecast\n\nBrandenburg und Berlin\nToday: Birch (medium pollen concentration)\n\nMecklenburg-Vorpommern\nno data available');
+        });
+
+        it('returns an empty text without relevant pollen if requested', () => {
+            const regions = [getRegion('Brandenburg und Berlin', { today: { Birke: '1' } })];
+            expect(digest.buildDigest(regions, getRecipient(), 'en', true)).to.equal('');
+            expect(digest.buildDigest(regions, getRecipient(), 'en')).to.equal('Pollen forecast\n\nBrandenburg und Berlin\nToday: no relevant pollen');
+            expect(digest.buildDigest(regions, getRecipient({ minLevel: 2 }), 'en', true)).to.not.be.empty;
+        });
+    });
+
+    describe('getMessage', () => {
+        it('sends telegram messages to a user or a chat id', () => {
+            expect(digest.getMessage('telegram.0', 'Text', 'Title')).to.deep.equal({ text: 'Text' });
+            expect(digest.getMessage('telegram.0', 'Text', 'Title', 'Anna')).to.deep.equal({ text: 'Text', user: 'Anna' });
+            expect(digest.getMessage('telegram.1', 'Text', 'Title', '-1001234')).to.deep.equal({ text: 'Text', chatId: '-1001234' });
+        });
+
+        it('uses the format of pushover and email', () => {
+            expect(digest.getMessage('pushover.0', 'Text', 'Title', 'phone')).to.deep.equal({ message: 'Text', title: 'Title', device: 'phone' });
+            expect(digest.getMessage('email.0', 'Text', 'Title', 'anna@example.com')).to.deep.equal({ text: 'Text', subject: 'Title', to: 'anna@example.com' });
+            expect(digest.getMessage('email.0', 'Text', 'Title')).to.deep.equal({ text: 'Text', subject: 'Title' });
+        });
+
+        it('sends signal and whatsapp messages to a phone number', () => {
+            expect(digest.getMessage('signal-cmb.0', 'Text', 'Title', '+491701234567')).to.deep.equal({ text: 'Text', phone: '+491701234567' });
+            expect(digest.getMessage('whatsapp-cmb.0', 'Text', 'Title')).to.deep.equal({ text: 'Text' });
+        });
+
+        it('fills the common properties for other adapters', () => {
+            expect(digest.getMessage('discord.0', 'Text', 'Title', 'Anna')).to.deep.equal({ text: 'Text', message: 'Text', title: 'Title', recipient: 'Anna' });
+        });
+    });
+});
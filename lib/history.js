@@ -0,0 +1,70 @@
+'use strict';
+
+// number of previous days compared with today for the trend
+const trendDays = 3;
+
+/**
+ * Adds the risk numbers of one day to the history and removes entries older than maxDays
+ * @param {Record<string, Record<string, Record<string, number>>>} history History by region, pollen and day (YYYY-MM-DD)
+ * @param {string} region Id of the region
+ * @param {string} day The day (YYYY-MM-DD)
+ * @param {Record<string, number>} values Risk number by pollen, negative values (no data) are ignored
+ * @param {number} maxDays Number of days to keep
+ */
+function addDay(history, region, day, values, maxDays) {
+    const oldest = new Date(day + 'T00:00:00Z');
+    oldest.setUTCDate(oldest.getUTCDate() - maxDays + 1);
+    const limit = oldest.toISOString().substring(0, 10);
+    if (!history[region]) history[region] = {};
+    for (const pollen in values) {
+        if (!history[region][pollen]) history[region][pollen] = {};
+        const series = history[region][pollen];
+        if (values[pollen] >= 0) {
+            series[day] = values[pollen];
+        }
+        for (const key of Object.keys(series)) {
+            if (key < limit) delete series[key];
+        }
+    }
+}
+
+/**
+ * Statistics of a pollen series up to the given day. The season is the calendar year of the day.
+ * @param {Record<string, number>} series Risk number by day (YYYY-MM-DD)
+ * @param {string} day The day (YYYY-MM-DD)
+ * @param {number} level Days with a risk number at or above this level are counted
+ * @returns {{trend: string, season_start: string, peak_day: string, peak_value: number, days_above: number}}
+ */
+function getStatistics(series, day, level) {
+    const keys = Object.keys(series || {}).filter((key) => key <= day).sort();
+    const statistics = {
+        trend: 'stable',
+        season_start: '',
+        peak_day: '',
+        peak_value: 0,
+        days_above: 0
+    };
+    const season = day.substring(0, 4);
+    for (const key of keys) {
+        if (key.substring(0, 4) !== season) continue;
+        const value = series[key];
+        if (value > 0 && !statistics.season_start) statistics.season_start = key;
+        if (value > statistics.peak_value) {
+            statistics.peak_value = value;
+            statistics.peak_day = key;
+        }
+        if (value >= level) statistics.days_above++;
+    }
+    const previous = keys.filter((key) => key < day).slice(-trendDays);
+    if (series && series[day] !== undefined && previous.length > 0) {
+        const mean = previous.reduce((sum, key) => sum + series[key], 0) / previous.length;
+        const diff = series[day] - mean;
+        statistics.trend = diff > 0.5 ? 'rising' : diff < -0.5 ? 'falling' : 'stable';
+    }
+    return statistics;
+}
+
+module.exports = {
+    addDay,
+    getStatistics
+};
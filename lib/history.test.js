@@ -0,0 +1,66 @@
+'use strict';
+
+const { expect } = require('chai');
+const history = require('./history');
+
+describe('history', () => {
+    describe('addDay', () => {
+        it('adds the risk numbers and ignores days without data', () => {
+            const data = {};
+            history.addDay(data, '50', '2026-04-16', { Birke: 6, Erle: 1, Ambrosia: -1 }, 365);
+            history.addDay(data, '50', '2026-04-17', { Birke: 5, Erle: -1, Ambrosia: -1 }, 365);
+            expect(data).to.deep.equal({ '50': { Birke: { '2026-04-16': 6, '2026-04-17': 5 }, Erle: { '2026-04-16': 1 }, Ambrosia: {} } });
+        });
+
+        it('overwrites a day with a later update of the same day', () => {
+            const data = {};
+            history.addDay(data, '50', '2026-04-16', { Birke: 4 }, 365);
+            history.addDay(data, '50', '2026-04-16', { Birke: 6 }, 365);
+            expect(data['50'].Birke).to.deep.equal({ '2026-04-16': 6 });
+        });
+
+        it('removes days older than the number of days to keep', () => {
+            const data = { '50': { Birke: { '2026-02-27': 1, '2026-02-28': 2, '2026-03-01': 3 } } };
+            history.addDay(data, '50', '2026-03-02', { Birke: 4 }, 3);
+            expect(data['50'].Birke).to.deep.equal({ '2026-02-28': 2, '2026-03-01': 3, '2026-03-02': 4 });
+        });
+    });
+
+    describe('getStatistics', () => {
+        const series = {
+            '2025-07-01': 6,
+            '2026-04-10': 0,
+            '2026-04-11': 1,
+            '2026-04-12': 4,
+            '2026-04-13': 6,
+            '2026-04-14': 2,
+            '2026-04-15': 2,
+            '2026-04-16': 4
+        };
+
+        it('counts the days of the season at or above the level', () => {
+            const statistics = history.getStatistics(series, '2026-04-16', 4);
+            expect(statistics).to.include({ season_start: '2026-04-11', peak_day: '2026-04-13', peak_value: 6, days_above: 3 });
+        });
+
+        it('ignores the days after the day', () => {
+            const statistics = history.getStatistics(series, '2026-04-12', 4);
+            expect(statistics).to.include({ peak_day: '2026-04-12', peak_value: 4, days_above: 1 });
+        });
+
+        it('compares the day with the mean of the previous 3 days for the trend', () => {
+            expect(history.getStatistics(series, '2026-04-16', 4).trend).to.equal('rising');
+            expect(history.getStatistics(series, '2026-04-14', 4).trend).to.equal('falling');
+            expect(history.getStatistics({ '2026-04-14': 2, '2026-04-15': 3, '2026-04-16': 3 }, '2026-04-16', 4).trend).to.equal('stable');
+        });
+
+        it('is stable without previous days or without a value of the day', () => {
+            expect(history.getStatistics({ '2026-04-16': 6 }, '2026-04-16', 4).trend).to.equal('stable');
+            expect(history.getStatistics({ '2026-04-15': 6 }, '2026-04-16', 4).trend).to.equal('stable');
+        });
+
+        it('returns empty statistics without a series', () => {
+            expect(history.getStatistics(undefined, '2026-04-16', 4)).to.deep.equal({ trend: 'stable', season_start: '', peak_day: '', peak_value: 0, days_above: 0 });
+        });
+    });
+});
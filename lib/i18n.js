@@ -0,0 +1,253 @@
+'use strict';
+
+// Languages of ioBroker, the first one is the fallback
+const languages = ['en', 'de', 'ru', 'pt', 'nl', 'fr', 'it', 'es', 'pl', 'uk', 'zh-cn'];
+
+/**
+ * Texts of the DWD risk index. 'none' is used if no data is available, 'pollen' combines the text
+ * with the name of the pollen.
+ */
+const riskTexts = {
+    en: {
+        '0': 'not any pollen concentration',
+        '0-1': 'not any to low pollen concentration',
+        '1': 'low pollen concentration',
+        '1-2': 'low to medium pollen concentration',
+        '2': 'medium pollen concentration',
+        '2-3': 'medium to high pollen concentration',
+        '3': 'high pollen concentration',
+        none: 'no data available',
+        pollen: '{text} for {pollen}'
+    },
+    de: {
+        '0': 'keine Belastung',
+        '0-1': 'keine bis geringe Belastung',
+        '1': 'geringe Belastung',
+        '1-2': 'geringe bis mittlere Belastung',
+        '2': 'mittlere Belastung',
+        '2-3': 'mittlere bis hohe Belastung',
+        '3': 'hohe Belastung',
+        none: 'keine Daten vorhanden',
+        pollen: '{text} für {pollen}'
+    },
+    ru: {
+        '0': 'нет нагрузки',
+        '0-1': 'нет или слабая нагрузка',
+        '1': 'слабая нагрузка',
+        '1-2': 'слабая или средняя нагрузка',
+        '2': 'средняя нагрузка',
+        '2-3': 'средняя или сильная нагрузка',
+        '3': 'сильная нагрузка',
+        none: 'нет данных',
+        pollen: '{text}: {pollen}'
+    },
+    pt: {
+        '0': 'sem carga de pólen',
+        '0-1': 'carga de pólen nula a baixa',
+        '1': 'carga de pólen baixa',
+        '1-2': 'carga de pólen baixa a média',
+        '2': 'carga de pólen média',
+        '2-3': 'carga de pólen média a alta',
+        '3': 'carga de pólen alta',
+        none: 'sem dados disponíveis',
+        pollen: '{text} de {pollen}'
+    },
+    nl: {
+        '0': 'geen pollenbelasting',
+        '0-1': 'geen tot lage pollenbelasting',
+        '1': 'lage pollenbelasting',
+        '1-2': 'lage tot gemiddelde pollenbelasting',
+        '2': 'gemiddelde pollenbelasting',
+        '2-3': 'gemiddelde tot hoge pollenbelasting',
+        '3': 'hoge pollenbelasting',
+        none: 'geen gegevens beschikbaar',
+        pollen: '{text} voor {pollen}'
+    },
+    fr: {
+        '0': 'aucune charge pollinique',
+        '0-1': 'charge pollinique nulle à faible',
+        '1': 'charge pollinique faible',
+        '1-2': 'charge pollinique faible à moyenne',
+        '2': 'charge pollinique moyenne',
+        '2-3': 'charge pollinique moyenne à élevée',
+        '3': 'charge pollinique élevée',
+        none: 'aucune donnée disponible',
+        pollen: '{text} pour {pollen}'
+    },
+    it: {
+        '0': 'nessun carico pollinico',
+        '0-1': 'carico pollinico da nullo a basso',
+        '1': 'carico pollinico basso',
+        '1-2': 'carico pollinico da basso a medio',
+        '2': 'carico pollinico medio',
+        '2-3': 'carico pollinico da medio ad alto',
+        '3': 'carico pollinico alto',
+        none: 'nessun dato disponibile',
+        pollen: '{text} per {pollen}'
+    },
+    es: {
+        '0': 'sin carga de polen',
+        '0-1': 'carga de polen nula a baja',
+        '1': 'carga de polen baja',
+        '1-2': 'carga de polen baja a media',
+        '2': 'carga de polen media',
+        '2-3': 'carga de polen media a alta',
+        '3': 'carga de polen alta',
+        none: 'no hay datos disponibles',
+        pollen: '{text} de {pollen}'
+    },
+    pl: {
+        '0': 'brak obciążenia pyłkiem',
+        '0-1': 'brak do niskiego obciążenia pyłkiem',
+        '1': 'niskie obciążenie pyłkiem',
+        '1-2': 'niskie do średniego obciążenia pyłkiem',
+        '2': 'średnie obciążenie pyłkiem',
+        '2-3': 'średnie do wysokiego obciążenia pyłkiem',
+        '3': 'wysokie obciążenie pyłkiem',
+        none: 'brak danych',
+        pollen: '{text}: {pollen}'
+    },
+    uk: {
+        '0': 'немає навантаження',
+        '0-1': 'немає або слабке навантаження',
+        '1': 'слабке навантаження',
+        '1-2': 'слабке або середнє навантаження',
+        '2': 'середнє навантаження',
+        '2-3': 'середнє або сильне навантаження',
+        '3': 'сильне навантаження',
+        none: 'немає даних',
+        pollen: '{text}: {pollen}'
+    },
+    'zh-cn': {
+        '0': '无花粉负荷',
+        '0-1': '无至低花粉负荷',
+        '1': '低花粉负荷',
+        '1-2': '低至中等花粉负荷',
+        '2': '中等花粉负荷',
+        '2-3': '中等至高花粉负荷',
+        '3': '高花粉负荷',
+        none: '无可用数据',
+        pollen: '{pollen}：{text}'
+    }
+};
+
+/**
+ * Names of the pollen types of the DWD feed and of other providers
+ */
+const pollenNames = {
+    Hasel: { en: 'Hazel', de: 'Hasel', ru: 'Лещина', pt: 'Aveleira', nl: 'Hazelaar', fr: 'Noisetier', it: 'Nocciolo', es: 'Avellano', pl: 'Leszczyna', uk: 'Ліщина', 'zh-cn': '榛树' },
+    Erle: { en: 'Alder', de: 'Erle', ru: 'Ольха', pt: 'Amieiro', nl: 'Els', fr: 'Aulne', it: 'Ontano', es: 'Aliso', pl: 'Olcha', uk: 'Вільха', 'zh-cn': '桤木' },
+    Esche: { en: 'Ash', de: 'Esche', ru: 'Ясень', pt: 'Freixo', nl: 'Es', fr: 'Frêne', it: 'Frassino', es: 'Fresno', pl: 'Jesion', uk: 'Ясен', 'zh-cn': '白蜡树' },
+    Birke: { en: 'Birch', de: 'Birke', ru: 'Берёза', pt: 'Bétula', nl: 'Berk', fr: 'Bouleau', it: 'Betulla', es: 'Abedul', pl: 'Brzoza', uk: 'Береза', 'zh-cn': '桦树' },
+    Graeser: { en: 'Grasses', de: 'Gräser', ru: 'Злаковые травы', pt: 'Gramíneas', nl: 'Grassen', fr: 'Graminées', it: 'Graminacee', es: 'Gramíneas', pl: 'Trawy', uk: 'Злакові трави', 'zh-cn': '禾本科草' },
+    Roggen: { en: 'Rye', de: 'Roggen', ru: 'Рожь', pt: 'Centeio', nl: 'Rogge', fr: 'Seigle', it: 'Segale', es: 'Centeno', pl: 'Żyto', uk: 'Жито', 'zh-cn': '黑麦' },
+    Beifuss: { en: 'Mugwort', de: 'Beifuß', ru: 'Полынь', pt: 'Artemísia', nl: 'Bijvoet', fr: 'Armoise', it: 'Artemisia', es: 'Artemisa', pl: 'Bylica', uk: 'Полин', 'zh-cn': '艾蒿' },
+    Ambrosia: { en: 'Ragweed', de: 'Ambrosia', ru: 'Амброзия', pt: 'Ambrósia', nl: 'Ambrosia', fr: 'Ambroisie', it: 'Ambrosia', es: 'Ambrosía', pl: 'Ambrozja', uk: 'Амброзія', 'zh-cn': '豚草' },
+    Olive: { en: 'Olive', de: 'Olive', ru: 'Олива', pt: 'Oliveira', nl: 'Olijf', fr: 'Olivier', it: 'Olivo', es: 'Olivo', pl: 'Oliwka', uk: 'Олива', 'zh-cn': '橄榄' }
+};
+
+// Texts of the region choices of the admin UI, the regions themselves keep the German names of DWD
+const regionTexts = {
+    en: { all: 'All regions', auto: 'Automatic (location of the system)' },
+    de: { all: 'Alle Bundesländer', auto: 'Automatisch (Standort des Systems)' },
+    ru: { all: 'Все регионы', auto: 'Автоматически (местоположение системы)' },
+    pt: { all: 'Todas as regiões', auto: 'Automático (localização do sistema)' },
+    nl: { all: 'Alle regio\'s', auto: 'Automatisch (locatie van het systeem)' },
+    fr: { all: 'Toutes les régions', auto: 'Automatique (emplacement du système)' },
+    it: { all: 'Tutte le regioni', auto: 'Automatico (posizione del sistema)' },
+    es: { all: 'Todas las regiones', auto: 'Automático (ubicación del sistema)' },
+    pl: { all: 'Wszystkie regiony', auto: 'Automatycznie (lokalizacja systemu)' },
+    uk: { all: 'Усі регіони', auto: 'Автоматично (розташування системи)' },
+    'zh-cn': { all: '所有地区', auto: '自动（系统位置）' }
+};
+
+// Texts of the digest sent through messaging adapters
+const digestTexts = {
+    en: { title: 'Pollen forecast', today: 'Today', tomorrow: 'Tomorrow', nothing: 'no relevant pollen', nodata: 'no data available' },
+    de: { title: 'Pollenflug-Vorhersage', today: 'Heute', tomorrow: 'Morgen', nothing: 'keine relevanten Pollen', nodata: 'keine Daten vorhanden' },
+    ru: { title: 'Прогноз пыльцы', today: 'Сегодня', tomorrow: 'Завтра', nothing: 'нет значимой пыльцы', nodata: 'нет данных' },
+    pt: { title: 'Previsão de pólen', today: 'Hoje', tomorrow: 'Amanhã', nothing: 'sem pólen relevante', nodata: 'sem dados disponíveis' },
+    nl: { title: 'Pollenverwachting', today: 'Vandaag', tomorrow: 'Morgen', nothing: 'geen relevante pollen', nodata: 'geen gegevens beschikbaar' },
+    fr: { title: 'Prévision pollinique', today: 'Aujourd\'hui', tomorrow: 'Demain', nothing: 'aucun pollen significatif', nodata: 'aucune donnée disponible' },
+    it: { title: 'Previsione pollini', today: 'Oggi', tomorrow: 'Domani', nothing: 'nessun polline rilevante', nodata: 'nessun dato disponibile' },
+    es: { title: 'Previsión de polen', today: 'Hoy', tomorrow: 'Mañana', nothing: 'ningún polen relevante', nodata: 'no hay datos disponibles' },
+    pl: { title: 'Prognoza pylenia', today: 'Dziś', tomorrow: 'Jutro', nothing: 'brak istotnych pyłków', nodata: 'brak danych' },
+    uk: { title: 'Прогноз пилку', today: 'Сьогодні', tomorrow: 'Завтра', nothing: 'немає значущого пилку', nodata: 'немає даних' },
+    'zh-cn': { title: '花粉预报', today: '今天', tomorrow: '明天', nothing: '无相关花粉', nodata: '无可用数据' }
+};
+
+/**
+ * Supported language for the given language code, English if the language is not supported
+ * @param {string} [language] Language code like 'de' or 'zh-cn' (case insensitive)
+ * @returns {string}
+ */
+function getLanguage(language) {
+    language = String(language || '').toLowerCase();
+    return languages.includes(language) ? language : languages[0];
+}
+
+/**
+ * Name of a pollen type in the given language. Unknown pollen types keep their name.
+ * @param {string} pollen Pollen type of the DWD feed, e.g. 'Graeser'
+ * @param {string} [language] Language code
+ * @returns {string}
+ */
+function getPollenName(pollen, language) {
+    const names = pollenNames[pollen];
+    return names ? names[getLanguage(language)] : pollen;
+}
+
+/**
+ * Names of a pollen type in all languages (translation object for common.name)
+ * @param {string} pollen Pollen type of the DWD feed, e.g. 'Graeser'
+ * @returns {ioBroker.StringOrTranslated}
+ */
+function getPollenTranslations(pollen) {
+    return pollenNames[pollen] ? Object.assign({}, pollenNames[pollen]) : pollen;
+}
+
+/**
+ * Text of a DWD risk index ('0', '0-1', ... '3'), optionally for a pollen type
+ * @param {string} index DWD risk index
+ * @param {string} [pollen] Pollen type of the DWD feed
+ * @param {string} [language] Language code
+ * @returns {string}
+ */
+function getRiskText(index, pollen, language) {
+    const texts = riskTexts[getLanguage(language)];
+    const text = texts[index] || texts.none;
+    if (!pollen) {
+        return text;
+    }
+    return texts.pollen.replace('{text}', text).replace('{pollen}', getPollenName(pollen, language));
+}
+
+/**
+ * Text of a region choice of the admin UI
+ * @param {'all' | 'auto'} key 'all' (all regions) or 'auto' (partregion of the system location)
+ * @param {string} [language] Language code
+ * @returns {string}
+ */
+function getRegionText(key, language) {
+    return regionTexts[getLanguage(language)][key];
+}
+
+/**
+ * Text of the digest
+ * @param {'title' | 'today' | 'tomorrow' | 'nothing' | 'nodata'} key Key of the text
+ * @param {string} [language] Language code
+ * @returns {string}
+ */
+function getDigestText(key, language) {
+    return digestTexts[getLanguage(language)][key];
+}
+
+module.exports = {
+    languages,
+    getLanguage,
+    getPollenName,
+    getPollenTranslations,
+    getRiskText,
+    getRegionText,
+    getDigestText
+};
@@ -0,0 +1,94 @@
+'use strict';
+
+const crypto = require('crypto');
+const { fetchBuffer } = require('./http');
+
+// Directory of the downloaded maps in the file storage of the adapter instance
+const imageDir = 'images';
+
+// Signature of PNG files, DWD error pages are not stored as image
+const pngSignature = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+
+/**
+ * Local URL of a file in the file storage of the adapter instance (served by the web adapter)
+ * @param {ioBroker.Adapter} adapter The adapter instance
+ * @param {string} file The file name inside the image directory
+ * @returns {string}
+ */
+function getLocalUrl(adapter, file) {
+    return '/' + adapter.namespace + '/' + imageDir + '/' + file;
+}
+
+/**
+ * Downloads the maps into the file storage. The file name contains a hash of the content, so the URL
+ * changes when DWD publishes a new map and browsers do not show an outdated image from their cache.
+ * @param {ioBroker.Adapter} adapter The adapter instance
+ * @param {Object<string, string>} images Remote URL by name, e.g. { 'Hasel.image_today': 'https://...' }
+ * @param {object} [options] Options of the request, see fetchJson
+ * @returns {Promise<Object<string, string>>} Local URL by name, missing for failed downloads
+ */
+async function downloadImages(adapter, images, options) {
+    const local = {};
+    for (const name in images) {
+        if (options && options.signal && options.signal.aborted) {
+            break; // adapter is stopping
+        }
+        try {
+            const response = await fetchBuffer(images[name], options);
+            if (!response.data || !response.data.subarray(0, pngSignature.length).equals(pngSignature)) {
+                throw new Error('no PNG image');
+            }
+            const hash = crypto.createHash('sha1').update(response.data).digest('hex').substring(0, 10);
+            const file = name.replace(/[^A-Za-z0-9_-]/g, '_') + '_' + hash + '.png';
+            if (!(await adapter.fileExistsAsync(adapter.namespace, imageDir + '/' + file))) {
+                await adapter.writeFileAsync(adapter.namespace, imageDir + '/' + file, response.data);
+            }
+            local[name] = getLocalUrl(adapter, file);
+        } catch (error) {
+            adapter.log.warn('Error downloading image ' + images[name] + ' / ' + error);
+        }
+    }
+    return local;
+}
+
+/**
+ * Deletes all downloaded maps which are not in use
+ * @param {ioBroker.Adapter} adapter The adapter instance
+ * @param {string[]} [used] Local URLs of the maps in use, nothing is kept if empty
+ * @returns {Promise<number>} Number of deleted files
+ */
+async function cleanupImages(adapter, used) {
+    let deleted = 0;
+    try {
+        const files = await adapter.readDirAsync(adapter.namespace, imageDir);
+        for (const file of files) {
+            if (file.isDir || (used || []).includes(getLocalUrl(adapter, file.file))) continue;
+            await adapter.delFileAsync(adapter.namespace, imageDir + '/' + file.file);
+            deleted++;
+        }
+    } catch (error) {
+        // the directory does not exist before the first download
+        if (!String(error).includes('Not exists')) adapter.log.warn('Error deleting old images / ' + error);
+    }
+    return deleted;
+}
+
+/**
+ * Checks if a state value is a downloaded map which still exists
+ * @param {ioBroker.Adapter} adapter The adapter instance
+ * @param {any} url The state value
+ * @returns {Promise<boolean>}
+ */
+async function isLocalImage(adapter, url) {
+    const prefix = getLocalUrl(adapter, '');
+    if (typeof url !== 'string' || !url.startsWith(prefix)) {
+        return false;
+    }
+    return await adapter.fileExistsAsync(adapter.namespace, imageDir + '/' + url.substring(prefix.length));
+}
+
+module.exports = {
+    downloadImages,
+    cleanupImages,
+    isLocalImage
+};
@@ -0,0 +1,52 @@
+'use strict';
+
+// Nationwide overview of all regions: highest risk per pollen, ranking of the regions and a map of the
+// region ids to the highest risk for map widgets
+
+/**
+ * @typedef {object} OverviewRegion
+ * @property {string} id Id of the region (partregion_id or region_id without partregions)
+ * @property {string} name Name of the region
+ * @property {{pollen: string, number: number}[]} values Risk number (0 - 6, -1 without data) of all pollen
+ */
+
+/**
+ * @typedef {object} Overview
+ * @property {Record<string, {max: number, regions: string[]}>} pollen Highest risk number per pollen and the names of the regions with it
+ * @property {{rank: number, id: string, name: string, burden: number, max: number}[]} ranking Regions by total burden (sum of the risk numbers), highest first
+ * @property {Record<string, number>} map Highest risk number per region id
+ */
+
+/**
+ * Overview of one day
+ * @param {OverviewRegion[]} regions The regions with the risk numbers of the day
+ * @returns {Overview}
+ */
+function getOverview(regions) {
+    const overview = { pollen: {}, ranking: [], map: {} };
+    for (const region of regions) {
+        let burden = 0;
+        let max = -1;
+        for (const value of region.values) {
+            const pollen = overview.pollen[value.pollen] || (overview.pollen[value.pollen] = { max: -1, regions: [] });
+            if (value.number > pollen.max) {
+                pollen.max = value.number;
+                pollen.regions = [];
+            }
+            if (value.number === pollen.max && value.number > 0) pollen.regions.push(region.name);
+            if (value.number > 0) burden += value.number;
+            if (value.number > max) max = value.number;
+        }
+        overview.ranking.push({ rank: 0, id: region.id, name: region.name, burden: burden, max: max });
+        overview.map[region.id] = max;
+    }
+    overview.ranking.sort((a, b) => b.burden - a.burden || b.max - a.max || a.name.localeCompare(b.name));
+    overview.ranking.forEach((region, i) => {
+        region.rank = i > 0 && region.burden === overview.ranking[i - 1].burden ? overview.ranking[i - 1].rank : i + 1;
+    });
+    return overview;
+}
+
+module.exports = {
+    getOverview
+};
@@ -0,0 +1,107 @@
+'use strict';
+
+// Pollen forecast of the Deutscher Wetterdienst (DWD) for the regions and partregions of Germany.
+// The risk index of DWD ('0', '0-1', ... '3') is the common scale of all providers.
+
+const { regions, getRegionName } = require('../regions');
+const { validatePayload } = require('../validate');
+
+const defaultUrl = 'https://opendata.dwd.de/climate_environment/health/alerts/s31fg.json';
+const imageUrl = 'https://www.dwd.de/DWD/warnungen/medizin/pollen/';
+
+/**
+ * DWD needs no context, the regions are fixed
+ * @returns {object}
+ */
+function getContext() {
+    return {};
+}
+
+/**
+ * URL of the DWD data
+ * @param {Record<string, any>} config The adapter configuration
+ * @returns {string}
+ */
+function getUrl(config) {
+    return config.url || defaultUrl;
+}
+
+/**
+ * Selectable regions, the partregions of DWD
+ * @returns {{id: number, region_id: number, name: string}[]}
+ */
+function getRegions() {
+    return regions.map((region) => ({ id: region.id, region_id: region.region_id, name: getRegionName(region) }));
+}
+
+/**
+ * Converts the DWD data into the common model. Missing values are -1 (no data).
+ * @param {any} data The DWD data (s31fg.json)
+ * @returns {import('./index').PollenData}
+ */
+function normalize(data) {
+    return {
+        provider: 'dwd',
+        last_update: data.last_update,
+        next_update: data.next_update,
+        content: data.content.map((entry) => {
+            const pollen = {};
+            for (const j in entry.Pollen) {
+                const days = entry.Pollen[j] || {};
+                pollen[j] = {};
+                for (const day of ['today', 'tomorrow', 'dayafter_to']) {
+                    pollen[j][day] = days[day] !== undefined && days[day] !== null ? String(days[day]) : '-1';
+                }
+            }
+            return {
+                region_id: entry.region_id,
+                region_name: entry.region_name,
+                partregion_id: entry.partregion_id,
+                partregion_name: entry.partregion_name,
+                Pollen: pollen
+            };
+        })
+    };
+}
+
+/**
+ * URL of the DWD map of a pollen type
+ * @param {string} weekday 'today', 'tomorrow' or 'dayaftertomorrow'
+ * @param {string} plant DWD pollen type
+ * @returns {string}
+ */
+function getImage(weekday, plant) {
+    if (weekday && plant) {
+        const plants = {
+            hasel: 0,
+            erle: 1,
+            birke: 2,
+            graeser: 3,
+            roggen: 4,
+            beifuss: 5,
+            ambrosia: 6,
+            esche: 7,
+        };
+        const weekdays = {
+            today: 1,
+            tomorrow: 2,
+            dayaftertomorrow: 3
+        };
+        const urlweekday = weekdays[weekday.toLowerCase()];
+        const urlplant = plants[plant.toLowerCase()];
+        return urlplant !== undefined ? imageUrl + 'pollen_' + urlweekday + '_' + urlplant + '.png' : '';
+    } else {
+        return '';
+    }
+}
+
+module.exports = {
+    name: 'dwd',
+    title: 'DWD',
+    getContext,
+    getUrl,
+    getRegions,
+    validate: validatePayload,
+    normalize,
+    getImage
+};
@@ -0,0 +1,45 @@
+'use strict';
+
+/**
+ * Common model of the pollen data of all providers. The values are risk indexes of the DWD scale
+ * ('0', '0-1', '1', '1-2', '2', '2-3', '3'), '-1' means no data available.
+ * @typedef {object} PollenData
+ * @property {string} provider Name of the provider
+ * @property {string} last_update Last update (German time, e.g. '2019-02-21 11:00 Uhr')
+ * @property {string} next_update Next update (German time)
+ * @property {{region_id: number, region_name: string, partregion_id: number, partregion_name: string,
+ *     Pollen: Object<string, {today: string, tomorrow: string, dayafter_to: string}>}[]} content Forecast per region,
+ *     partregion_id is -1 for regions without partregions
+ */
+
+/**
+ * A provider converts the data of its source into the common model
+ * @typedef {object} Provider
+ * @property {string} name Name used in the configuration
+ * @property {string} title Name shown in logs and states
+ * @property {(config: Record<string, any>, systemLocation?: object) => object} getContext Data of the configuration needed by the other functions
+ * @property {(config: Record<string, any>, context: any) => string} getUrl URL of the request
+ * @property {(context: any) => {id: number, region_id: number, name: string}[]} getRegions Selectable regions
+ * @property {(data: any) => {errors: string[], warnings: string[]}} validate Validates the data of the source
+ * @property {(data: any, context: any) => PollenData} normalize Converts the data of the source
+ * @property {(weekday: string, pollen: string) => string} [getImage] URL of a map
+ */
+
+const providers = {
+    dwd: require('./dwd'),
+    openmeteo: require('./openmeteo')
+};
+
+/**
+ * Provider by name, DWD if the name is unknown
+ * @param {string} [name] Name of the provider
+ * @returns {Provider}
+ */
+function getProvider(name) {
+    return providers[name] || providers.dwd;
+}
+
+module.exports = {
+    providers,
+    getProvider
+};
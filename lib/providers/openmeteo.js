@@ -0,0 +1,204 @@
+'use strict';
+
+// Model based pollen forecast of the Open-Meteo air quality API (CAMS European air quality forecast).
+// Available for every location in Europe, the hourly concentration (grains/m³) is converted into the
+// risk index of DWD with the maximum of the day.
+
+const crypto = require('crypto');
+const time = require('../time');
+
+const baseUrl = 'https://air-quality-api.open-meteo.com/v1/air-quality';
+
+// Open-Meteo variables and the pollen types of the adapter
+const variables = {
+    alder_pollen: 'Erle',
+    birch_pollen: 'Birke',
+    grass_pollen: 'Graeser',
+    mugwort_pollen: 'Beifuss',
+    olive_pollen: 'Olive',
+    ragweed_pollen: 'Ambrosia'
+};
+
+// Concentrations (grains/m³) from which the risk index '0-1', '1', '1-2', '2', '2-3' and '3' start
+const trees = [1, 10, 30, 50, 100, 200];
+const scales = {
+    Erle: trees,
+    Birke: trees,
+    Olive: trees,
+    Graeser: [1, 5, 15, 30, 50, 100],
+    Beifuss: [1, 3, 6, 10, 20, 40],
+    Ambrosia: [1, 3, 6, 10, 20, 40]
+};
+const riskIndexes = ['0', '0-1', '1', '1-2', '2', '2-3', '3'];
+
+// The model is updated several times a day
+const updateInterval = 3 * 60 * 60 * 1000;
+
+/**
+ * @typedef {object} Location
+ * @property {string} id Stable id of the location (used as region id), independent of the position in the table
+ * @property {string} name Name of the location
+ * @property {number} latitude Latitude
+ * @property {number} longitude Longitude
+ */
+
+/**
+ * Id of a location: the id of the table row or a hash of the coordinates, so the objects of a location
+ * (region#<id>, history, alarms) stay with the location if rows are reordered or deleted
+ * @param {any} row Row of the table openMeteoLocations
+ * @param {number} latitude Latitude
+ * @param {number} longitude Longitude
+ * @returns {string}
+ */
+function getLocationId(row, latitude, longitude) {
+    const id = String(row.id || '').trim().replace(/[^A-Za-z0-9_-]/g, '_');
+    if (id) {
+        return id;
+    }
+    return crypto.createHash('sha1').update(latitude.toFixed(4) + ',' + longitude.toFixed(4)).digest('hex').substring(0, 8);
+}
+
+/**
+ * Locations from the configuration, the location of the system if none is configured
+ * @param {Record<string, any>} config The adapter configuration
+ * @param {{latitude?: any, longitude?: any}} [systemLocation] Location of the system settings
+ * @returns {{locations: Location[]}}
+ */
+function getContext(config, systemLocation) {
+    const rows = Array.isArray(config.openMeteoLocations) ? config.openMeteoLocations : [];
+    const locations = [];
+    for (const row of rows) {
+        const latitude = parseFloat(String(row.latitude).replace(',', '.'));
+        const longitude = parseFloat(String(row.longitude).replace(',', '.'));
+        if (isNaN(latitude) || isNaN(longitude)) continue;
+        let id = getLocationId(row, latitude, longitude);
+        for (let n = 2; locations.some((location) => location.id === id); n++) {
+            id = getLocationId(row, latitude, longitude) + '_' + n;
+        }
+        locations.push({ id: id, name: String(row.name || '').trim() || latitude + ', ' + longitude, latitude, longitude });
+    }
+    if (locations.length === 0 && systemLocation) {
+        const latitude = parseFloat(systemLocation.latitude);
+        const longitude = parseFloat(systemLocation.longitude);
+        if (!isNaN(latitude) && !isNaN(longitude)) {
+            locations.push({ id: 'system', name: 'System location', latitude, longitude });
+        }
+    }
+    return { locations };
+}
+
+/**
+ * URL of the forecast of all locations (one request)
+ * @param {Record<string, any>} config The adapter configuration
+ * @param {{locations: Location[]}} context The locations
+ * @returns {string}
+ */
+function getUrl(config, context) {
+    if (context.locations.length === 0) {
+        throw new Error('No location for Open-Meteo, please configure a location or the location of the system');
+    }
+    return baseUrl +
+        '?latitude=' + context.locations.map((location) => location.latitude).join(',') +
+        '&longitude=' + context.locations.map((location) => location.longitude).join(',') +
+        '&hourly=' + Object.keys(variables).join(',') +
+        '&timezone=Europe%2FBerlin&forecast_days=3';
+}
+
+/**
+ * Selectable regions, the configured locations
+ * @param {{locations: Location[]}} context The locations
+ * @returns {{id: string, region_id: string, name: string}[]}
+ */
+function getRegions(context) {
+    return context.locations.map((location) => ({ id: location.id, region_id: location.id, name: location.name }));
+}
+
+/**
+ * Validates the Open-Meteo data
+ * @param {any} data The data, an array for more than one location
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+function validate(data) {
+    const errors = [];
+    const warnings = [];
+    const results = Array.isArray(data) ? data : [data];
+    results.forEach((result, i) => {
+        const hourly = result && result.hourly;
+        if (!hourly || !Array.isArray(hourly.time) || hourly.time.length === 0) {
+            errors.push('invalid hourly.time of location ' + (i + 1));
+            return;
+        }
+        const found = Object.keys(variables).filter((variable) => Array.isArray(hourly[variable]));
+        if (found.length === 0) {
+            errors.push('no pollen data of location ' + (i + 1));
+        } else if (found.every((variable) => hourly[variable].every((value) => value === null))) {
+            warnings.push('no pollen data for location ' + (i + 1) + ' (outside of the forecast area?)');
+        }
+    });
+    return { errors, warnings };
+}
+
+/**
+ * Risk index of a concentration
+ * @param {string} pollen Pollen type
+ * @param {number | null | undefined} value Concentration in grains/m³
+ * @returns {string}
+ */
+function getRiskIndex(pollen, value) {
+    if (value === null || value === undefined || isNaN(value)) {
+        return '-1';
+    }
+    const scale = scales[pollen];
+    let n = 0;
+    while (n < scale.length && value >= scale[n]) n++;
+    return riskIndexes[n];
+}
+
+/**
+ * Converts the Open-Meteo data into the common model
+ * @param {any} data The data, an array for more than one location
+ * @param {{locations: Location[]}} context The locations of the request
+ * @returns {import('./index').PollenData}
+ */
+function normalize(data, context) {
+    const results = Array.isArray(data) ? data : [data];
+    const now = new Date();
+    const content = results.map((result, i) => {
+        const location = context.locations[i] || { id: String(i + 1), name: result.latitude + ', ' + result.longitude };
+        const hourly = result.hourly;
+        const dates = hourly.time.map((timestamp) => timestamp.substring(0, 10)).filter((date, n, list) => list.indexOf(date) === n).sort();
+        const pollen = {};
+        for (const variable in variables) {
+            if (!Array.isArray(hourly[variable])) continue;
+            const j = variables[variable];
+            pollen[j] = {};
+            ['today', 'tomorrow', 'dayafter_to'].forEach((day, n) => {
+                const values = hourly[variable].filter((value, k) => value !== null && hourly.time[k].startsWith(dates[n]));
+                pollen[j][day] = dates[n] && values.length > 0 ? getRiskIndex(j, Math.max(...values)) : '-1';
+            });
+        }
+        return {
+            region_id: location.id,
+            region_name: location.name,
+            partregion_id: -1,
+            partregion_name: '',
+            Pollen: pollen
+        };
+    });
+    return {
+        provider: 'openmeteo',
+        last_update: time.formatDwdDate(now),
+        next_update: time.formatDwdDate(new Date(now.getTime() + updateInterval)),
+        content: content
+    };
+}
+
+module.exports = {
+    name: 'openmeteo',
+    title: 'Open-Meteo',
+    getContext,
+    getUrl,
+    getRegions,
+    validate,
+    normalize
+};
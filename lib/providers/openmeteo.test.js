@@ -0,0 +1,103 @@
+'use strict';
+
+const { expect } = require('chai');
+const openmeteo = require('./openmeteo');
+
+// Hourly data of one location, every day has the given concentrations of the variable
+function getData(variable, days) {
+    const hourly = { time: [] };
+    hourly[variable] = [];
+    ['2026-04-16', '2026-04-17', '2026-04-18'].forEach((date, n) => {
+        for (const value of days[n] || []) {
+            hourly.time.push(date + 'T' + String(hourly.time.length % 24).padStart(2, '0') + ':00');
+            hourly[variable].push(value);
+        }
+    });
+    return { latitude: 52.5, longitude: 13.4, hourly: hourly };
+}
+
+function getRiskIndexes(variable, values) {
+    return values.map((value) => {
+        const data = openmeteo.normalize(getData(variable, [[value]]), { locations: [{ id: 'home', name: 'Home', latitude: 52.5, longitude: 13.4 }] });
+        return Object.values(data.content[0].Pollen)[0].today;
+    });
+}
+
+describe('providers/openmeteo', () => {
+    describe('getContext', () => {
+        it('uses the id of the row or a hash of the coordinates', () => {
+            const context = openmeteo.getContext({
+                openMeteoLocations: [
+                    { name: 'Rome', latitude: '41,9', longitude: 12.5 },
+                    { latitude: 41.9, longitude: 12.5 },
+                    { id: 'my home!', latitude: 48, longitude: 11 },
+                    { name: 'Invalid', latitude: '', longitude: 11 }
+                ]
+            });
+            expect(context.locations).to.deep.equal([
+                { id: 'e0e77511', name: 'Rome', latitude: 41.9, longitude: 12.5 },
+                { id: 'e0e77511_2', name: '41.9, 12.5', latitude: 41.9, longitude: 12.5 },
+                { id: 'my_home_', name: '48, 11', latitude: 48, longitude: 11 }
+            ]);
+        });
+
+        it('keeps the id of a location if other rows are removed', () => {
+            const context = openmeteo.getContext({ openMeteoLocations: [{ name: 'Rome', latitude: 41.9, longitude: 12.5 }] });
+            expect(context.locations[0].id).to.equal('e0e77511');
+        });
+
+        it('uses the location of the system without configured locations', () => {
+            const context = openmeteo.getContext({ openMeteoLocations: [] }, { latitude: '52.5', longitude: '13.4' });
+            expect(context.locations).to.deep.equal([{ id: 'system', name: 'System location', latitude: 52.5, longitude: 13.4 }]);
+            expect(openmeteo.getContext({}, {}).locations).to.be.empty;
+        });
+    });
+
+    describe('normalize', () => {
+        it('converts the concentration of trees into the risk index', () => {
+            expect(getRiskIndexes('birch_pollen', [0, 0.9, 1, 9.9, 10, 30, 50, 100, 199, 200, 5000]))
+                .to.deep.equal(['0', '0', '0-1', '0-1', '1', '1-2', '2', '2-3', '2-3', '3', '3']);
+            expect(getRiskIndexes('olive_pollen', [1, 200])).to.deep.equal(['0-1', '3']);
+        });
+
+        it('uses the scales of grasses and herbs', () => {
+            expect(getRiskIndexes('grass_pollen', [0, 1, 5, 15, 30, 50, 100])).to.deep.equal(['0', '0-1', '1', '1-2', '2', '2-3', '3']);
+            expect(getRiskIndexes('ragweed_pollen', [0, 1, 3, 6, 10, 20, 40])).to.deep.equal(['0', '0-1', '1', '1-2', '2', '2-3', '3']);
+            expect(getRiskIndexes('mugwort_pollen', [2.9, 3])).to.deep.equal(['0-1', '1']);
+        });
+
+        it('uses the maximum of the day and -1 for days without data', () => {
+            const data = openmeteo.normalize(getData('alder_pollen', [[0, 12, 3], [null, null], []]), { locations: [{ id: 'home', name: 'Home', latitude: 52.5, longitude: 13.4 }] });
+            expect(data.content).to.deep.equal([{
+                region_id: 'home',
+                region_name: 'Home',
+                partregion_id: -1,
+                partregion_name: '',
+                Pollen: { Erle: { today: '1', tomorrow: '-1', dayafter_to: '-1' } }
+            }]);
+            expect(data.provider).to.equal('openmeteo');
+            expect(data.last_update).to.match(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2} Uhr$/);
+        });
+
+        it('converts the data of several locations', () => {
+            const context = openmeteo.getContext({ openMeteoLocations: [{ id: 'a', latitude: 1, longitude: 2 }, { id: 'b', latitude: 3, longitude: 4 }] });
+            const data = openmeteo.normalize([getData('birch_pollen', [[50]]), getData('birch_pollen', [[0]])], context);
+            expect(data.content.map((entry) => [entry.region_id, entry.Pollen.Birke.today])).to.deep.equal([['a', '2'], ['b', '0']]);
+        });
+    });
+
+    describe('validate', () => {
+        it('accepts valid data', () => {
+            expect(openmeteo.validate(getData('birch_pollen', [[1]]))).to.deep.equal({ errors: [], warnings: [] });
+        });
+
+        it('rejects data without times or pollen', () => {
+            expect(openmeteo.validate({ hourly: { time: [] } }).errors).to.deep.equal(['invalid hourly.time of location 1']);
+            expect(openmeteo.validate([getData('birch_pollen', [[1]]), { hourly: { time: ['2026-04-16T00:00'] } }]).errors).to.deep.equal(['no pollen data of location 2']);
+        });
+
+        it('warns about locations outside of the forecast area', () => {
+            expect(openmeteo.validate(getData('birch_pollen', [[null, null]]))).to.deep.equal({ errors: [], warnings: ['no pollen data for location 1 (outside of the forecast area?)'] });
+        });
+    });
+});
@@ -0,0 +1,214 @@
+'use strict';
+
+/**
+ * DWD regions and partregions of the pollen forecast. Every partregion (or region without partregions)
+ * has some reference locations (latitude, longitude) of towns inside this area. They are used to find
+ * the partregion for a given location.
+ */
+const regions = [
+    {
+        id: 11, region_id: 10, region_name: 'Schleswig-Holstein und Hamburg', partregion_name: 'Inseln und Marschen',
+        locations: [[54.48, 9.05], [54.91, 8.31], [54.19, 9.10], [53.90, 9.14], [54.63, 8.80]]
+    },
+    {
+        id: 12, region_id: 10, region_name: 'Schleswig-Holstein und Hamburg', partregion_name: 'Geest,Schleswig-Holstein und Hamburg',
+        locations: [[53.55, 10.00], [54.32, 10.13], [53.87, 10.69], [54.07, 9.98], [54.78, 9.44], [54.52, 9.56], [54.30, 9.66]]
+    },
+    {
+        id: 20, region_id: 20, region_name: 'Mecklenburg-Vorpommern', partregion_name: '',
+        locations: [[54.09, 12.14], [53.63, 11.41], [53.56, 13.26], [54.31, 13.09], [54.09, 13.38], [53.89, 11.46], [53.33, 11.50]]
+    },
+    {
+        id: 31, region_id: 30, region_name: 'Niedersachsen und Bremen', partregion_name: 'Westl. Niedersachsen/Bremen',
+        locations: [[53.08, 8.80], [53.14, 8.21], [52.28, 8.05], [53.37, 7.21], [53.53, 8.11], [53.86, 8.69], [52.52, 7.32], [52.73, 8.29], [53.54, 8.58]]
+    },
+    {
+        id: 32, region_id: 30, region_name: 'Niedersachsen und Bremen', partregion_name: 'Östl. Niedersachsen',
+        locations: [[52.37, 9.73], [52.27, 10.52], [53.25, 10.41], [52.42, 10.79], [52.62, 10.08], [51.54, 9.93], [52.15, 9.95], [52.96, 10.56], [53.60, 9.48], [52.10, 9.36]]
+    },
+    {
+        id: 41, region_id: 40, region_name: 'Nordrhein-Westfalen', partregion_name: 'Rhein.-Westfäl. Tiefland',
+        locations: [[50.94, 6.96], [51.23, 6.78], [51.51, 7.47], [51.46, 7.01], [51.96, 7.63], [51.43, 6.76], [50.78, 6.08], [50.73, 7.10], [51.33, 6.56], [51.68, 7.82]]
+    },
+    {
+        id: 42, region_id: 40, region_name: 'Nordrhein-Westfalen', partregion_name: 'Ostwestfalen',
+        locations: [[52.02, 8.53], [51.72, 8.75], [52.29, 8.92], [51.94, 8.88], [51.91, 8.38], [51.77, 9.38]]
+    },
+    {
+        id: 43, region_id: 40, region_name: 'Nordrhein-Westfalen', partregion_name: 'Mittelgebirge NRW',
+        locations: [[50.87, 8.02], [51.40, 8.06], [51.03, 7.85], [51.19, 8.53], [51.22, 7.63], [51.03, 7.56], [50.55, 6.24], [51.40, 8.57]]
+    },
+    {
+        id: 50, region_id: 50, region_name: 'Brandenburg und Berlin', partregion_name: '',
+        locations: [[52.52, 13.40], [52.39, 13.06], [51.76, 14.33], [52.34, 14.55], [52.92, 12.80], [53.32, 13.86], [52.41, 12.53], [53.07, 11.86]]
+    },
+    {
+        id: 61, region_id: 60, region_name: 'Sachsen-Anhalt', partregion_name: 'Tiefland Sachsen-Anhalt',
+        locations: [[52.13, 11.63], [51.48, 11.97], [51.84, 12.24], [52.61, 11.86], [52.85, 11.15], [51.87, 12.65], [51.15, 11.81]]
+    },
+    {
+        id: 62, region_id: 60, region_name: 'Sachsen-Anhalt', partregion_name: 'Harz',
+        locations: [[51.83, 10.78], [51.79, 11.15], [51.47, 11.30], [51.79, 10.96], [51.64, 11.14]]
+    },
+    {
+        id: 71, region_id: 70, region_name: 'Thüringen', partregion_name: 'Tiefland Thüringen',
+        locations: [[50.98, 11.03], [50.95, 10.70], [51.50, 10.79], [50.93, 11.59], [50.98, 11.33], [51.21, 10.45], [50.99, 12.43], [50.88, 12.08]]
+    },
+    {
+        id: 72, region_id: 70, region_name: 'Thüringen', partregion_name: 'Mittelgebirge Thüringen',
+        locations: [[50.61, 10.69], [50.68, 10.92], [50.71, 10.73], [50.36, 11.17], [50.65, 11.36], [50.58, 11.81], [50.57, 10.42], [50.98, 10.32]]
+    },
+    {
+        id: 81, region_id: 80, region_name: 'Sachsen', partregion_name: 'Tiefland Sachsen',
+        locations: [[51.34, 12.37], [51.05, 13.74], [51.56, 13.00], [51.18, 14.42], [51.15, 14.99], [51.31, 13.29], [51.44, 14.24]]
+    },
+    {
+        id: 82, region_id: 80, region_name: 'Sachsen', partregion_name: 'Mittelgebirge Sachsen',
+        locations: [[50.83, 12.92], [50.72, 12.49], [50.50, 12.14], [50.58, 13.00], [50.91, 13.34], [50.90, 14.81], [50.42, 12.97]]
+    },
+    {
+        id: 91, region_id: 90, region_name: 'Hessen', partregion_name: 'Nordhessen und hess. Mittelgebirge',
+        locations: [[51.31, 9.48], [50.55, 9.68], [50.80, 8.77], [50.58, 8.68], [50.87, 9.71], [51.27, 8.87], [50.39, 8.06], [50.64, 9.40]]
+    },
+    {
+        id: 92, region_id: 90, region_name: 'Hessen', partregion_name: 'Rhein-Main',
+        locations: [[50.11, 8.68], [50.08, 8.24], [49.87, 8.65], [50.10, 8.76], [50.13, 8.92], [49.68, 8.62], [49.99, 8.41]]
+    },
+    {
+        id: 101, region_id: 100, region_name: 'Rheinland-Pfalz und Saarland', partregion_name: 'Rhein, Pfalz, Nahe und Mosel',
+        locations: [[50.00, 8.27], [50.36, 7.59], [49.48, 8.44], [49.75, 6.64], [49.84, 7.87], [49.20, 8.12], [49.35, 8.14], [49.92, 7.07], [49.63, 8.36]]
+    },
+    {
+        id: 102, region_id: 100, region_name: 'Rheinland-Pfalz und Saarland', partregion_name: 'Mittelgebirgsbereich Rheinland-Pfalz',
+        locations: [[49.44, 7.77], [49.20, 7.61], [49.97, 6.53], [50.20, 6.83], [50.44, 7.83], [50.69, 7.65], [49.98, 7.52], [49.71, 7.31], [50.21, 6.42]]
+    },
+    {
+        id: 103, region_id: 100, region_name: 'Rheinland-Pfalz und Saarland', partregion_name: 'Saarland',
+        locations: [[49.23, 7.00], [49.35, 7.18], [49.31, 6.75], [49.33, 7.34], [49.44, 6.64], [49.47, 7.17]]
+    },
+    {
+        id: 111, region_id: 110, region_name: 'Baden-Württemberg', partregion_name: 'Oberrhein und unteres Neckartal',
+        locations: [[49.01, 8.40], [49.49, 8.47], [49.40, 8.67], [47.99, 7.85], [48.47, 7.94], [48.76, 8.24], [47.61, 7.66], [49.12, 8.60]]
+    },
+    {
+        id: 112, region_id: 110, region_name: 'Baden-Württemberg', partregion_name: 'Hohenlohe/mittlerer Neckar/Oberschwaben',
+        locations: [[48.78, 9.18], [49.14, 9.22], [48.40, 9.99], [47.78, 9.61], [49.11, 9.74], [48.10, 9.79], [47.65, 9.48], [48.52, 9.06], [48.89, 9.19], [49.14, 10.07]]
+    },
+    {
+        id: 113, region_id: 110, region_name: 'Baden-Württemberg', partregion_name: 'Mittelgebirge Baden-Württemberg',
+        locations: [[48.46, 8.41], [48.06, 8.46], [47.91, 8.21], [48.71, 8.74], [48.21, 9.02], [48.84, 10.09], [49.35, 9.15], [49.52, 9.32], [47.87, 8.00], [48.41, 9.49], [48.68, 10.15]]
+    },
+    {
+        id: 121, region_id: 120, region_name: 'Bayern', partregion_name: 'Allgäu/Oberbayern/Bay. Wald',
+        locations: [[48.14, 11.58], [47.73, 10.31], [47.86, 12.12], [47.49, 11.10], [47.87, 12.64], [49.02, 13.23], [48.81, 13.55], [48.86, 13.40], [47.63, 13.00], [47.99, 10.18], [47.84, 11.14]]
+    },
+    {
+        id: 122, region_id: 120, region_name: 'Bayern', partregion_name: 'Donauniederungen',
+        locations: [[49.01, 12.10], [48.76, 11.42], [48.88, 12.57], [48.84, 12.96], [48.57, 13.43], [48.72, 10.78], [48.73, 11.18]]
+    },
+    {
+        id: 123, region_id: 120, region_name: 'Bayern', partregion_name: 'Bayern nördl. der Donau, o. Bayr. Wald, o. Mainfranken',
+        locations: [[49.45, 11.08], [49.95, 11.58], [49.89, 10.89], [50.31, 11.92], [49.68, 12.16], [49.44, 11.86], [49.30, 10.57], [49.59, 11.00], [50.26, 10.96], [49.22, 12.67]]
+    },
+    {
+        id: 124, region_id: 120, region_name: 'Bayern', partregion_name: 'Mainfranken',
+        locations: [[49.79, 9.95], [50.05, 10.23], [49.98, 9.15], [49.74, 10.16], [50.20, 10.08], [49.99, 9.58]]
+    }
+];
+
+// Simplified border of Germany (latitude, longitude), precise to a few kilometers. Locations outside of
+// this area are outside of the DWD forecast area, even if a reference location is near.
+const border = [
+    [53.70, 6.55], [53.85, 7.90], [54.30, 7.80], [55.10, 8.30], [54.92, 8.60], [54.82, 9.45], [54.85, 9.95],
+    [54.55, 10.90], [54.50, 11.30], [54.45, 12.20], [54.75, 13.45], [54.40, 14.10], [53.95, 14.22],
+    [53.45, 14.40], [52.85, 14.15], [52.35, 14.58], [51.85, 14.72], [51.30, 15.05], [51.15, 15.05], [50.85, 14.85],
+    [50.87, 14.30], [50.72, 13.75], [50.40, 13.00], [50.15, 12.28], [50.32, 12.20], [50.18, 12.15], [50.10, 12.20], [49.80, 12.50],
+    [49.35, 12.75], [49.30, 12.90], [49.10, 13.30], [49.00, 13.40], [48.75, 13.82], [48.55, 13.72], [48.30, 13.40], [48.10, 12.80],
+    [47.85, 13.02], [47.55, 13.05], [47.70, 12.45], [47.60, 12.20], [47.40, 11.50], [47.27, 10.20],
+    [47.53, 9.70], [47.64, 9.25], [47.65, 9.15], [47.68, 8.88], [47.78, 8.72], [47.78, 8.52], [47.60, 8.45], [47.59, 8.20], [47.58, 7.58],
+    [48.00, 7.55], [48.58, 7.80], [48.97, 8.22], [49.05, 7.95], [49.15, 7.45], [49.12, 7.10], [49.18, 7.00],
+    [49.22, 6.92], [49.25, 6.80], [49.45, 6.36], [49.80, 6.50], [50.13, 6.13], [50.35, 6.35], [50.50, 6.25],
+    [50.76, 6.02], [51.00, 5.90], [51.35, 6.20], [51.85, 6.05], [51.85, 6.70], [52.25, 7.05],
+    [52.45, 6.95], [52.65, 6.70], [53.20, 7.20], [53.30, 7.20], [53.55, 6.60]
+];
+
+/**
+ * Distance of two locations in kilometers (haversine formula)
+ * @param {number} lat1 Latitude of the first location
+ * @param {number} lon1 Longitude of the first location
+ * @param {number} lat2 Latitude of the second location
+ * @param {number} lon2 Longitude of the second location
+ * @returns {number}
+ */
+function getDistance(lat1, lon1, lat2, lon2) {
+    const rad = Math.PI / 180;
+    const dlat = (lat2 - lat1) * rad;
+    const dlon = (lon2 - lon1) * rad;
+    const a = Math.sin(dlat / 2) * Math.sin(dlat / 2) +
+        Math.cos(lat1 * rad) * Math.cos(lat2 * rad) * Math.sin(dlon / 2) * Math.sin(dlon / 2);
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Checks if a location is inside of the border of Germany (ray casting)
+ * @param {number} lat Latitude of the location
+ * @param {number} lon Longitude of the location
+ * @returns {boolean}
+ */
+function isInGermany(lat, lon) {
+    let inside = false;
+    for (let i = 0, j = border.length - 1; i < border.length; j = i++) {
+        const lat1 = border[i][0];
+        const lon1 = border[i][1];
+        const lat2 = border[j][0];
+        const lon2 = border[j][1];
+        if ((lat1 > lat) !== (lat2 > lat) && lon < (lon2 - lon1) * (lat - lat1) / (lat2 - lat1) + lon1) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Finds the partregion with the nearest reference location
+ * @param {number|string} latitude Latitude of the location
+ * @param {number|string} longitude Longitude of the location
+ * @returns {{id: number, region_id: number, name: string, distance: number} | undefined} undefined, if the location is invalid or outside of Germany
+ */
+function findRegion(latitude, longitude) {
+    const lat = parseFloat(String(latitude).replace(',', '.'));
+    const lon = parseFloat(String(longitude).replace(',', '.'));
+    if (isNaN(lat) || isNaN(lon) || !isInGermany(lat, lon)) {
+        return undefined;
+    }
+    let found;
+    for (const region of regions) {
+        for (const location of region.locations) {
+            const distance = getDistance(lat, lon, location[0], location[1]);
+            if (!found || distance < found.distance) {
+                found = {
+                    id: region.id,
+                    region_id: region.region_id,
+                    name: getRegionName(region),
+                    distance: distance
+                };
+            }
+        }
+    }
+    return found;
+}
+
+/**
+ * Name of a region as used by the DWD feed ('region - partregion')
+ * @param {{region_name: string, partregion_name?: string}} region The region
+ * @returns {string}
+ */
+function getRegionName(region) {
+    return region.partregion_name ? region.region_name + ' - ' + region.partregion_name : region.region_name;
+}
+
+module.exports = {
+    regions,
+    findRegion,
+    getRegionName
+};
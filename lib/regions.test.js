@@ -0,0 +1,45 @@
+'use strict';
+
+const { expect } = require('chai');
+const regions = require('./regions');
+
+describe('regions', () => {
+    describe('findRegion', () => {
+        it('finds the region of locations in Germany', () => {
+            expect(regions.findRegion(52.52, 13.405)).to.include({ id: 50, region_id: 50, name: 'Brandenburg und Berlin' });
+            expect(regions.findRegion(53.55, 9.99)).to.include({ id: 12, region_id: 10 });
+            expect(regions.findRegion(48.137, 11.575)).to.include({ id: 121, region_id: 120, name: 'Bayern - Allgäu/Oberbayern/Bay. Wald' });
+        });
+
+        it('finds the region of locations near the border', () => {
+            expect(regions.findRegion(47.66, 9.175)).to.include({ id: 112, region_id: 110 });
+            expect(regions.findRegion(54.9, 8.31)).to.include({ id: 11 });
+            expect(regions.findRegion(50.7753, 6.0839)).to.include({ id: 41 });
+            expect(regions.findRegion(47.49, 11.095)).to.include({ id: 121 });
+        });
+
+        it('accepts coordinates as text with a decimal comma', () => {
+            expect(regions.findRegion('52,52', '13,405')).to.include({ id: 50 });
+        });
+
+        it('rejects locations outside of Germany', () => {
+            expect(regions.findRegion(47.3769, 8.5417)).to.be.undefined; // Zurich
+            expect(regions.findRegion(47.5596, 7.5886)).to.be.undefined; // Basel
+            expect(regions.findRegion(48.5734, 7.7521)).to.be.undefined; // Strasbourg
+            expect(regions.findRegion(47.8095, 13.055)).to.be.undefined; // Salzburg
+            expect(regions.findRegion(0, 0)).to.be.undefined;
+        });
+
+        it('rejects invalid coordinates', () => {
+            expect(regions.findRegion('x', 13)).to.be.undefined;
+            expect(regions.findRegion(undefined, undefined)).to.be.undefined;
+        });
+    });
+
+    describe('getRegionName', () => {
+        it('names the region and the partregion', () => {
+            expect(regions.getRegionName({ region_name: 'Bayern', partregion_name: 'Donauniederungen' })).to.equal('Bayern - Donauniederungen');
+            expect(regions.getRegionName({ region_name: 'Brandenburg und Berlin', partregion_name: '' })).to.equal('Brandenburg und Berlin');
+        });
+    });
+});
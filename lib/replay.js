@@ -0,0 +1,55 @@
+'use strict';
+
+// Recorded payloads of the data providers. Every file contains the unchanged payload of one request, the
+// file names start with the provider and the time of the request, so the order of the names is the order
+// of the requests.
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * JSON files of a replay directory in the order of their names
+ * @param {string} dir The directory
+ * @returns {Promise<string[]>}
+ */
+async function listPayloads(dir) {
+    const files = await fs.promises.readdir(dir);
+    return files.filter((file) => file.toLowerCase().endsWith('.json')).sort();
+}
+
+/**
+ * Reads a recorded payload. After the last file the replay starts again with the first file.
+ * @param {string} dir The directory
+ * @param {number} position Position of the file, 0 is the first file
+ * @returns {Promise<{file: string, position: number, count: number, data: any}>}
+ */
+async function readPayload(dir, position) {
+    const files = await listPayloads(dir);
+    if (files.length === 0) {
+        throw new Error('No recorded payloads in ' + dir);
+    }
+    const index = position >= 0 && position < files.length ? position : 0;
+    const content = await fs.promises.readFile(path.join(dir, files[index]), 'utf8');
+    return { file: files[index], position: index, count: files.length, data: JSON.parse(content) };
+}
+
+/**
+ * Writes a payload into the replay directory, the directory is created if it does not exist
+ * @param {string} dir The directory
+ * @param {string} provider Name of the provider, e.g. 'dwd'
+ * @param {any} data The payload
+ * @param {Date} [date] Time of the request, now if not set
+ * @returns {Promise<string>} The file name
+ */
+async function recordPayload(dir, provider, data, date) {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const file = provider + '_' + (date || new Date()).toISOString().replace(/[:.]/g, '-') + '.json';
+    await fs.promises.writeFile(path.join(dir, file), JSON.stringify(data, null, 2));
+    return file;
+}
+
+module.exports = {
+    listPayloads,
+    readPayload,
+    recordPayload
+};
@@ -0,0 +1,76 @@
+'use strict';
+
+// Revisions of the forecast: the value of tomorrow is compared with the value of today of the next update
+
+/**
+ * Forecast and actual value of a pollen by day (YYYY-MM-DD). forecast is the value of tomorrow of the update of
+ * the day before, actual the value of today.
+ * @typedef {Record<string, {forecast?: number, actual?: number}>} RevisionSeries
+ */
+
+/**
+ * Adds the values of one update and removes entries older than maxDays
+ * @param {Record<string, Record<string, RevisionSeries>>} revisions Revisions by region, pollen and day
+ * @param {string} region Id of the region
+ * @param {string} day The day of the update (YYYY-MM-DD)
+ * @param {Record<string, {today: number, tomorrow: number}>} values Risk numbers by pollen, negative values (no data) are ignored
+ * @param {number} maxDays Number of days to keep
+ */
+function addUpdate(revisions, region, day, values, maxDays) {
+    const date = new Date(day + 'T00:00:00Z');
+    date.setUTCDate(date.getUTCDate() + 1);
+    const tomorrow = date.toISOString().substring(0, 10);
+    date.setUTCDate(date.getUTCDate() - maxDays);
+    const limit = date.toISOString().substring(0, 10);
+    if (!revisions[region]) revisions[region] = {};
+    for (const pollen in values) {
+        if (!revisions[region][pollen]) revisions[region][pollen] = {};
+        const series = revisions[region][pollen];
+        if (values[pollen].today >= 0) {
+            series[day] = Object.assign(series[day] || {}, { actual: values[pollen].today });
+        }
+        if (values[pollen].tomorrow >= 0) {
+            series[tomorrow] = Object.assign(series[tomorrow] || {}, { forecast: values[pollen].tomorrow });
+        }
+        for (const key of Object.keys(series)) {
+            if (key < limit) delete series[key];
+        }
+    }
+}
+
+/**
+ * Revision of the day and the accuracy of the forecasts up to the day
+ * @param {RevisionSeries} series Forecast and actual value by day
+ * @param {string} day The day (YYYY-MM-DD)
+ * @returns {{revision: string, revision_delta: number, accuracy: number, accuracy_days: number}} revision is 'up', 'down',
+ * 'unchanged' or empty without forecast of the day before, accuracy the percentage of days with an unchanged value (-1 without days)
+ */
+function getRevision(series, day) {
+    const statistics = {
+        revision: '',
+        revision_delta: 0,
+        accuracy: -1,
+        accuracy_days: 0
+    };
+    const current = series && series[day];
+    if (current && current.forecast !== undefined && current.actual !== undefined) {
+        statistics.revision_delta = current.actual - current.forecast;
+        statistics.revision = statistics.revision_delta > 0 ? 'up' : statistics.revision_delta < 0 ? 'down' : 'unchanged';
+    }
+    let exact = 0;
+    for (const key of Object.keys(series || {})) {
+        const entry = series[key];
+        if (key > day || entry.forecast === undefined || entry.actual === undefined) continue;
+        statistics.accuracy_days++;
+        if (entry.forecast === entry.actual) exact++;
+    }
+    if (statistics.accuracy_days > 0) {
+        statistics.accuracy = Math.round(exact / statistics.accuracy_days * 100);
+    }
+    return statistics;
+}
+
+module.exports = {
+    addUpdate,
+    getRevision
+};
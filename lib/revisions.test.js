@@ -0,0 +1,68 @@
+'use strict';
+
+const { expect } = require('chai');
+const revisions = require('./revisions');
+
+describe('revisions', () => {
+    describe('addUpdate', () => {
+        it('stores the value of tomorrow as forecast of the next day', () => {
+            const data = {};
+            revisions.addUpdate(data, '50', '2026-04-16', { Birke: { today: 6, tomorrow: 5 }, Ambrosia: { today: -1, tomorrow: -1 } }, 30);
+            expect(data).to.deep.equal({ '50': { Birke: { '2026-04-16': { actual: 6 }, '2026-04-17': { forecast: 5 } }, Ambrosia: {} } });
+        });
+
+        it('adds the actual value of the next update to the forecast', () => {
+            const data = {};
+            revisions.addUpdate(data, '50', '2026-04-16', { Birke: { today: 6, tomorrow: 5 } }, 30);
+            revisions.addUpdate(data, '50', '2026-04-17', { Birke: { today: 4, tomorrow: 3 } }, 30);
+            expect(data['50'].Birke['2026-04-17']).to.deep.equal({ forecast: 5, actual: 4 });
+        });
+
+        it('does not count an update of the same day twice', () => {
+            const data = {};
+            revisions.addUpdate(data, '50', '2026-04-16', { Birke: { today: 6, tomorrow: 5 } }, 30);
+            revisions.addUpdate(data, '50', '2026-04-17', { Birke: { today: 4, tomorrow: 3 } }, 30);
+            revisions.addUpdate(data, '50', '2026-04-17', { Birke: { today: 4, tomorrow: 3 } }, 30);
+            expect(Object.keys(data['50'].Birke)).to.have.lengthOf(3);
+            expect(revisions.getRevision(data['50'].Birke, '2026-04-17')).to.include({ accuracy_days: 1 });
+        });
+
+        it('removes days older than the number of days to keep', () => {
+            const data = {};
+            revisions.addUpdate(data, '50', '2026-04-01', { Birke: { today: 1, tomorrow: 2 } }, 3);
+            revisions.addUpdate(data, '50', '2026-04-04', { Birke: { today: 3, tomorrow: 4 } }, 3);
+            expect(Object.keys(data['50'].Birke).sort()).to.deep.equal(['2026-04-02', '2026-04-04', '2026-04-05']);
+        });
+    });
+
+    describe('getRevision', () => {
+        it('returns an upward revision', () => {
+            expect(revisions.getRevision({ '2026-04-17': { forecast: 3, actual: 5 } }, '2026-04-17')).to.include({ revision: 'up', revision_delta: 2 });
+        });
+
+        it('returns a downward revision', () => {
+            expect(revisions.getRevision({ '2026-04-17': { forecast: 5, actual: 4 } }, '2026-04-17')).to.include({ revision: 'down', revision_delta: -1 });
+        });
+
+        it('returns an unchanged forecast', () => {
+            expect(revisions.getRevision({ '2026-04-17': { forecast: 4, actual: 4 } }, '2026-04-17')).to.include({ revision: 'unchanged', revision_delta: 0 });
+        });
+
+        it('returns no revision without a forecast of the day before', () => {
+            expect(revisions.getRevision({ '2026-04-17': { actual: 4 } }, '2026-04-17')).to.deep.equal({ revision: '', revision_delta: 0, accuracy: -1, accuracy_days: 0 });
+            expect(revisions.getRevision(undefined, '2026-04-17')).to.deep.equal({ revision: '', revision_delta: 0, accuracy: -1, accuracy_days: 0 });
+        });
+
+        it('returns the percentage of exact forecasts up to the day', () => {
+            const series = {
+                '2026-04-14': { forecast: 2, actual: 2 },
+                '2026-04-15': { forecast: 2, actual: 3 },
+                '2026-04-16': { forecast: 3, actual: 3 },
+                '2026-04-17': { forecast: 4 }
+            };
+            expect(revisions.getRevision(series, '2026-04-16')).to.include({ accuracy: 67, accuracy_days: 3 });
+            expect(revisions.getRevision(series, '2026-04-15')).to.include({ accuracy: 50, accuracy_days: 2 });
+            expect(revisions.getRevision(series, '2026-04-17')).to.include({ revision: '', accuracy: 67, accuracy_days: 3 });
+        });
+    });
+});
@@ -0,0 +1,145 @@
+'use strict';
+
+// Spoken sentences of the forecast for voice assistants (Alexa / iot, Sayit, ...), e.g.
+// "Morgen hohe Belastung durch Gräser, mittlere durch Roggen, sonst keine."
+
+const i18n = require('./i18n');
+
+// DWD risk indexes, the position is the risk number
+const riskIndexes = ['0', '0-1', '1', '1-2', '2', '2-3', '3'];
+
+// Risk number from which pollen are named with the verbosity 'short' and 'normal', 'detailed' starts with '0-1'
+const normalLevel = 2;
+
+/**
+ * Parts of the sentence per language. 'first' names the first (highest) risk level, 'next' the following levels,
+ * 'rest' ends the sentence if all other pollen are below the level of 'normal'. 'lower' writes the pollen names in
+ * lower case inside of the sentence.
+ */
+const sentences = {
+    en: {
+        days: { today: 'Today', tomorrow: 'Tomorrow', dayafter_to: 'The day after tomorrow' },
+        levels: { '3': 'high', '2-3': 'medium to high', '2': 'medium', '1-2': 'low to medium', '1': 'low', '0-1': 'none to low' },
+        first: '{level} pollen concentration of {pollen}', next: '{level} of {pollen}', rest: 'otherwise none',
+        none: 'no pollen', nodata: 'no data available', and: ' and ', separator: ', ', sentence: '{day} {text}.', lower: true
+    },
+    de: {
+        days: { today: 'Heute', tomorrow: 'Morgen', dayafter_to: 'Übermorgen' },
+        levels: { '3': 'hohe', '2-3': 'mittlere bis hohe', '2': 'mittlere', '1-2': 'geringe bis mittlere', '1': 'geringe', '0-1': 'keine bis geringe' },
+        first: '{level} Belastung durch {pollen}', next: '{level} durch {pollen}', rest: 'sonst keine',
+        none: 'keine Pollenbelastung', nodata: 'keine Daten vorhanden', and: ' und ', separator: ', ', sentence: '{day} {text}.', lower: false
+    },
+    ru: {
+        days: { today: 'Сегодня', tomorrow: 'Завтра', dayafter_to: 'Послезавтра' },
+        levels: { '3': 'сильная', '2-3': 'средняя или сильная', '2': 'средняя', '1-2': 'слабая или средняя', '1': 'слабая', '0-1': 'нет или слабая' },
+        first: '{level} нагрузка: {pollen}', next: '{level}: {pollen}', rest: 'остальной пыльцы нет',
+        none: 'пыльцы нет', nodata: 'нет данных', and: ' и ', separator: ', ', sentence: '{day} {text}.', lower: true
+    },
+    pt: {
+        days: { today: 'Hoje', tomorrow: 'Amanhã', dayafter_to: 'Depois de amanhã' },
+        levels: { '3': 'alta', '2-3': 'média a alta', '2': 'média', '1-2': 'baixa a média', '1': 'baixa', '0-1': 'nula a baixa' },
+        first: 'concentração {level} de {pollen}', next: '{level} de {pollen}', rest: 'nenhum outro pólen',
+        none: 'sem pólen', nodata: 'sem dados disponíveis', and: ' e ', separator: ', ', sentence: '{day} {text}.', lower: true
+    },
+    nl: {
+        days: { today: 'Vandaag', tomorrow: 'Morgen', dayafter_to: 'Overmorgen' },
+        levels: { '3': 'hoge', '2-3': 'middelmatige tot hoge', '2': 'middelmatige', '1-2': 'lage tot middelmatige', '1': 'lage', '0-1': 'geen tot lage' },
+        first: '{level} pollenconcentratie van {pollen}', next: '{level} van {pollen}', rest: 'verder geen',
+        none: 'geen pollen', nodata: 'geen gegevens beschikbaar', and: ' en ', separator: ', ', sentence: '{day} {text}.', lower: true
+    },
+    fr: {
+        days: { today: 'Aujourd\'hui', tomorrow: 'Demain', dayafter_to: 'Après-demain' },
+        levels: { '3': 'élevée', '2-3': 'moyenne à élevée', '2': 'moyenne', '1-2': 'faible à moyenne', '1': 'faible', '0-1': 'nulle à faible' },
+        first: 'concentration {level} de {pollen}', next: '{level} de {pollen}', rest: 'sinon aucune',
+        none: 'aucun pollen', nodata: 'aucune donnée disponible', and: ' et ', separator: ', ', sentence: '{day} {text}.', lower: true
+    },
+    it: {
+        days: { today: 'Oggi', tomorrow: 'Domani', dayafter_to: 'Dopodomani' },
+        levels: { '3': 'alta', '2-3': 'da media ad alta', '2': 'media', '1-2': 'da bassa a media', '1': 'bassa', '0-1': 'da nulla a bassa' },
+        first: 'concentrazione {level} di {pollen}', next: '{level} di {pollen}', rest: 'nessun altro polline',
+        none: 'nessun polline', nodata: 'nessun dato disponibile', and: ' e ', separator: ', ', sentence: '{day} {text}.', lower: true
+    },
+    es: {
+        days: { today: 'Hoy', tomorrow: 'Mañana', dayafter_to: 'Pasado mañana' },
+        levels: { '3': 'alta', '2-3': 'media a alta', '2': 'media', '1-2': 'baja a media', '1': 'baja', '0-1': 'nula a baja' },
+        first: 'concentración {level} de {pollen}', next: '{level} de {pollen}', rest: 'ningún otro polen',
+        none: 'sin polen', nodata: 'no hay datos disponibles', and: ' y ', separator: ', ', sentence: '{day} {text}.', lower: true
+    },
+    pl: {
+        days: { today: 'Dziś', tomorrow: 'Jutro', dayafter_to: 'Pojutrze' },
+        levels: { '3': 'wysokie', '2-3': 'średnie do wysokiego', '2': 'średnie', '1-2': 'niskie do średniego', '1': 'niskie', '0-1': 'brak do niskiego' },
+        first: '{level} stężenie pyłków: {pollen}', next: '{level}: {pollen}', rest: 'poza tym brak',
+        none: 'brak pyłków', nodata: 'brak danych', and: ' i ', separator: ', ', sentence: '{day} {text}.', lower: true
+    },
+    uk: {
+        days: { today: 'Сьогодні', tomorrow: 'Завтра', dayafter_to: 'Післязавтра' },
+        levels: { '3': 'сильне', '2-3': 'середнє або сильне', '2': 'середнє', '1-2': 'слабке або середнє', '1': 'слабке', '0-1': 'немає або слабке' },
+        first: '{level} навантаження: {pollen}', next: '{level}: {pollen}', rest: 'іншого пилку немає',
+        none: 'пилку немає', nodata: 'немає даних', and: ' і ', separator: ', ', sentence: '{day} {text}.', lower: true
+    },
+    'zh-cn': {
+        days: { today: '今天', tomorrow: '明天', dayafter_to: '后天' },
+        levels: { '3': '高', '2-3': '中到高', '2': '中', '1-2': '低到中', '1': '低', '0-1': '无到低' },
+        first: '{pollen}花粉浓度{level}', next: '{pollen}{level}', rest: '其他无',
+        none: '无花粉', nodata: '无可用数据', and: '和', separator: '，', sentence: '{day}{text}。', lower: false
+    }
+};
+
+function format(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => values[key]);
+}
+
+// 'Gräser, Birke und Roggen'
+function joinNames(names, texts) {
+    if (names.length <= 1) {
+        return names.join('');
+    }
+    return names.slice(0, -1).join(texts.separator) + texts.and + names[names.length - 1];
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.substring(1);
+}
+
+/**
+ * Spoken sentence of one region and day. The pollen are grouped by risk index, the highest first.
+ * @param {string} day 'today', 'tomorrow' or 'dayafter_to'
+ * @param {{pollen: string, number: number}[]} values Risk number of all pollen, -1 if no data is available
+ * @param {string} language Language code
+ * @param {string} [verbosity] 'short' (only the highest risk), 'normal' (from low risk) or 'detailed' (from none to low risk)
+ * @returns {string}
+ */
+function buildSentence(day, values, language, verbosity) {
+    const lang = i18n.getLanguage(language);
+    const texts = sentences[lang];
+    const dayText = texts.days[day] || day;
+    if (values.length === 0 || values.every((value) => value.number < 0)) {
+        return format(texts.sentence, { day: dayText, text: texts.nodata });
+    }
+    const minimum = verbosity === 'detailed' ? 1 : normalLevel;
+    const groups = [];
+    for (let number = 6; number >= minimum; number--) {
+        const pollen = values.filter((value) => value.number === number).map((value) => value.pollen);
+        if (pollen.length > 0) groups.push({ number: number, pollen: pollen });
+    }
+    const listed = verbosity === 'short' ? groups.slice(0, 1) : groups;
+    if (listed.length === 0) {
+        return format(texts.sentence, { day: dayText, text: texts.none });
+    }
+    const parts = listed.map((group, i) => {
+        const names = group.pollen.map((pollen) => {
+            const name = i18n.getPollenName(pollen, lang);
+            return texts.lower ? name.toLocaleLowerCase(lang) : name;
+        });
+        return format(i === 0 ? texts.first : texts.next, { level: texts.levels[riskIndexes[group.number]], pollen: joinNames(names, texts) });
+    });
+    const others = values.filter((value) => value.number >= 0 && !listed.some((group) => group.pollen.includes(value.pollen)));
+    if (others.length > 0 && others.every((value) => value.number < normalLevel)) {
+        parts.push(texts.rest);
+    }
+    return capitalize(format(texts.sentence, { day: dayText, text: parts.join(texts.separator) }));
+}
+
+module.exports = {
+    buildSentence
+};
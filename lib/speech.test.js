@@ -0,0 +1,47 @@
+'use strict';
+
+const { expect } = require('chai');
+const speech = require('./speech');
+
+describe('speech', () => {
+    const values = [
+        { pollen: 'Graeser', number: 6 },
+        { pollen: 'Roggen', number: 4 },
+        { pollen: 'Birke', number: 1 },
+        { pollen: 'Erle', number: 0 },
+        { pollen: 'Ambrosia', number: -1 }
+    ];
+
+    it('names the pollen from low risk with the verbosity normal', () => {
+        expect(speech.buildSentence('tomorrow', values, 'de', 'normal')).to.equal('Morgen hohe Belastung durch Gräser, mittlere durch Roggen, sonst keine.');
+        expect(speech.buildSentence('tomorrow', values, 'en', 'normal')).to.equal('Tomorrow high pollen concentration of grasses, medium of rye, otherwise none.');
+    });
+
+    it('names only the highest risk with the verbosity short', () => {
+        expect(speech.buildSentence('tomorrow', values, 'de', 'short')).to.equal('Morgen hohe Belastung durch Gräser.');
+    });
+
+    it('names the pollen from none to low risk with the verbosity detailed', () => {
+        expect(speech.buildSentence('tomorrow', values, 'de', 'detailed')).to.equal('Morgen hohe Belastung durch Gräser, mittlere durch Roggen, keine bis geringe durch Birke, sonst keine.');
+    });
+
+    it('joins the pollen of the same risk', () => {
+        const same = [{ pollen: 'Birke', number: 4 }, { pollen: 'Erle', number: 4 }, { pollen: 'Hasel', number: 4 }];
+        expect(speech.buildSentence('dayafter_to', same, 'en', 'normal')).to.equal('The day after tomorrow medium pollen concentration of birch, alder and hazel.');
+    });
+
+    it('uses the template of the language', () => {
+        expect(speech.buildSentence('tomorrow', values, 'fr', 'normal')).to.equal('Demain concentration élevée de graminées, moyenne de seigle, sinon aucune.');
+        expect(speech.buildSentence('tomorrow', values, 'zh-cn', 'normal')).to.equal('明天禾本科草花粉浓度高，黑麦中，其他无。');
+    });
+
+    it('uses English for unknown languages', () => {
+        expect(speech.buildSentence('tomorrow', values, 'xx', 'short')).to.equal('Tomorrow high pollen concentration of grasses.');
+    });
+
+    it('says if there are no pollen or no data', () => {
+        expect(speech.buildSentence('today', [{ pollen: 'Birke', number: 1 }], 'de', 'normal')).to.equal('Heute keine Pollenbelastung.');
+        expect(speech.buildSentence('today', [{ pollen: 'Birke', number: -1 }], 'de', 'normal')).to.equal('Heute keine Daten vorhanden.');
+        expect(speech.buildSentence('today', [], 'en', 'normal')).to.equal('Today no data available.');
+    });
+});
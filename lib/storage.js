@@ -0,0 +1,41 @@
+'use strict';
+
+/**
+ * Reads a JSON file from the file storage of the adapter instance
+ * @param {ioBroker.Adapter} adapter The adapter instance
+ * @param {string} name The file name
+ * @param {any} [defaultValue] Returned if the file does not exist or is invalid
+ * @returns {Promise<any>}
+ */
+async function readJson(adapter, name, defaultValue) {
+    try {
+        if (!(await adapter.fileExistsAsync(adapter.namespace, name))) {
+            return defaultValue;
+        }
+        const data = await adapter.readFileAsync(adapter.namespace, name);
+        return JSON.parse(data.file.toString());
+    } catch (error) {
+        adapter.log.warn('Error reading file ' + name + ' / ' + error);
+        return defaultValue;
+    }
+}
+
+/**
+ * Writes a JSON file to the file storage of the adapter instance
+ * @param {ioBroker.Adapter} adapter The adapter instance
+ * @param {string} name The file name
+ * @param {any} data The data to write
+ * @returns {Promise<void>}
+ */
+async function writeJson(adapter, name, data) {
+    try {
+        await adapter.writeFileAsync(adapter.namespace, name, JSON.stringify(data));
+    } catch (error) {
+        adapter.log.error('Error writing file ' + name + ' / ' + error);
+    }
+}
+
+module.exports = {
+    readJson,
+    writeJson
+};
@@ -0,0 +1,123 @@
+'use strict';
+
+// DWD publishes the local time of Germany, e.g. 2019-02-21 11:00 Uhr
+const timeZone = 'Europe/Berlin';
+
+const datePattern = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T]+(\d{1,2}):(\d{2}))?/;
+
+const partsFormat = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+});
+
+/**
+ * Date and time of a point in time in Germany
+ * @param {Date} date The point in time
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getParts(date) {
+    const parts = {};
+    for (const part of partsFormat.formatToParts(date)) {
+        if (part.type !== 'literal') parts[part.type] = Number(part.value);
+    }
+    return /** @type {any} */ (parts);
+}
+
+// Offset of the German time to UTC in milliseconds (1 or 2 hours, depending on daylight saving time)
+function getOffset(time) {
+    const parts = getParts(new Date(time));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - Math.floor(time / 1000) * 1000;
+}
+
+/**
+ * Point in time of a German date and time. Days beyond the end of the month are moved to the next month.
+ * @param {number} year Year
+ * @param {number} month Month (1 - 12)
+ * @param {number} day Day of the month
+ * @param {number} [hour] Hour
+ * @param {number} [minute] Minute
+ * @returns {Date}
+ */
+function fromGermanTime(year, month, day, hour, minute) {
+    const local = Date.UTC(year, month - 1, day, hour || 0, minute || 0);
+    // the offset at the guessed time can differ from the offset at the result near the change of daylight saving time
+    let time = local - getOffset(local);
+    time = local - getOffset(time);
+    return new Date(time);
+}
+
+/**
+ * Parses a date of the DWD data (German time)
+ * @param {string} text Date like '2019-02-21 11:00 Uhr' or '2019-02-21'
+ * @returns {Date | undefined} undefined if the text is no valid date
+ */
+function parseDwdDate(text) {
+    const match = datePattern.exec(String(text || '').trim());
+    if (!match) {
+        return undefined;
+    }
+    return fromGermanTime(Number(match[1]), Number(match[2]), Number(match[3]), Number(match[4] || 0), Number(match[5] || 0));
+}
+
+/**
+ * Start (midnight in Germany) of the day of a point in time plus some days
+ * @param {Date} date The point in time
+ * @param {number} [days] Number of days to add
+ * @returns {Date}
+ */
+function getDayStart(date, days) {
+    const parts = getParts(date);
+    return fromGermanTime(parts.year, parts.month, parts.day + (days || 0));
+}
+
+/**
+ * German day of a point in time as YYYY-MM-DD
+ * @param {Date} date The point in time
+ * @returns {string}
+ */
+function formatDay(date) {
+    const parts = getParts(date);
+    const pad = (number) => (number < 10 ? '0' : '') + number;
+    return parts.year + '-' + pad(parts.month) + '-' + pad(parts.day);
+}
+
+/**
+ * Date and time in Germany in the format of the DWD data, e.g. '2019-02-21 11:00 Uhr'
+ * @param {Date} date The point in time
+ * @returns {string}
+ */
+function formatDwdDate(date) {
+    const parts = getParts(date);
+    const pad = (number) => (number < 10 ? '0' : '') + number;
+    return formatDay(date) + ' ' + pad(parts.hour) + ':' + pad(parts.minute) + ' Uhr';
+}
+
+/**
+ * Human readable date (and time) in the given language, e.g. 'Donnerstag, 21. Februar 2019 um 11:00'
+ * @param {Date} date The point in time
+ * @param {string} language Language code like 'de' or 'zh-cn'
+ * @param {boolean} [withTime] Show the time as well
+ * @returns {string}
+ */
+function formatDate(date, language, withTime) {
+    const options = withTime ? { timeZone: timeZone, dateStyle: 'full', timeStyle: 'short' } : { timeZone: timeZone, dateStyle: 'full' };
+    try {
+        return date.toLocaleString(language, /** @type {any} */ (options));
+    } catch (error) {
+        return date.toLocaleString('en', /** @type {any} */ (options));
+    }
+}
+
+module.exports = {
+    parseDwdDate,
+    getDayStart,
+    formatDay,
+    formatDwdDate,
+    formatDate
+};
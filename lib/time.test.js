@@ -0,0 +1,60 @@
+'use strict';
+
+const { expect } = require('chai');
+const time = require('./time');
+
+describe('time', () => {
+    describe('parseDwdDate', () => {
+        it('parses the German time in winter and summer', () => {
+            expect(time.parseDwdDate('2026-01-15 11:00 Uhr').toISOString()).to.equal('2026-01-15T10:00:00.000Z');
+            expect(time.parseDwdDate('2026-07-15 11:00 Uhr').toISOString()).to.equal('2026-07-15T09:00:00.000Z');
+            expect(time.parseDwdDate('2026-07-15').toISOString()).to.equal('2026-07-14T22:00:00.000Z');
+        });
+
+        it('parses the times around the start of daylight saving time', () => {
+            expect(time.parseDwdDate('2026-03-29 00:00 Uhr').toISOString()).to.equal('2026-03-28T23:00:00.000Z');
+            expect(time.parseDwdDate('2026-03-29 01:59 Uhr').toISOString()).to.equal('2026-03-29T00:59:00.000Z');
+            expect(time.parseDwdDate('2026-03-29 03:00 Uhr').toISOString()).to.equal('2026-03-29T01:00:00.000Z');
+            expect(time.parseDwdDate('2026-03-29 11:00 Uhr').toISOString()).to.equal('2026-03-29T09:00:00.000Z');
+        });
+
+        it('parses the times around the end of daylight saving time', () => {
+            expect(time.parseDwdDate('2026-10-25 00:00 Uhr').toISOString()).to.equal('2026-10-24T22:00:00.000Z');
+            expect(time.parseDwdDate('2026-10-25 01:59 Uhr').toISOString()).to.equal('2026-10-24T23:59:00.000Z');
+            expect(time.parseDwdDate('2026-10-25 04:00 Uhr').toISOString()).to.equal('2026-10-25T03:00:00.000Z');
+            expect(time.parseDwdDate('2026-10-25 11:00 Uhr').toISOString()).to.equal('2026-10-25T10:00:00.000Z');
+        });
+
+        it('returns undefined for invalid dates', () => {
+            expect(time.parseDwdDate('')).to.be.undefined;
+            expect(time.parseDwdDate(undefined)).to.be.undefined;
+            expect(time.parseDwdDate('21.02.2019 11:00 Uhr')).to.be.undefined;
+        });
+    });
+
+    describe('getDayStart', () => {
+        it('returns midnight in Germany', () => {
+            expect(time.getDayStart(new Date('2026-07-15T21:59:00Z')).toISOString()).to.equal('2026-07-14T22:00:00.000Z');
+            expect(time.getDayStart(new Date('2026-07-15T22:00:00Z')).toISOString()).to.equal('2026-07-15T22:00:00.000Z');
+        });
+
+        it('adds days across the change of daylight saving time', () => {
+            expect(time.getDayStart(new Date('2026-03-28T12:00:00Z'), 1).toISOString()).to.equal('2026-03-28T23:00:00.000Z');
+            expect(time.getDayStart(new Date('2026-03-28T12:00:00Z'), 2).toISOString()).to.equal('2026-03-29T22:00:00.000Z');
+            expect(time.getDayStart(new Date('2026-10-24T12:00:00Z'), 2).toISOString()).to.equal('2026-10-25T23:00:00.000Z');
+            expect(time.getDayStart(new Date('2026-12-31T12:00:00Z'), 1).toISOString()).to.equal('2026-12-31T23:00:00.000Z');
+        });
+    });
+
+    describe('formatDay and formatDwdDate', () => {
+        it('formats the day in Germany', () => {
+            expect(time.formatDay(new Date('2026-03-28T23:30:00Z'))).to.equal('2026-03-29');
+            expect(time.formatDay(new Date('2026-10-25T22:30:00Z'))).to.equal('2026-10-25');
+        });
+
+        it('formats the date like the DWD data', () => {
+            expect(time.formatDwdDate(new Date('2026-03-29T09:00:00Z'))).to.equal('2026-03-29 11:00 Uhr');
+            expect(time.formatDwdDate(time.parseDwdDate('2026-10-25 11:00 Uhr'))).to.equal('2026-10-25 11:00 Uhr');
+        });
+    });
+});
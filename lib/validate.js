@@ -0,0 +1,74 @@
+'use strict';
+
+// Risk index values of the DWD feed, -1 means no data
+const riskIndexValues = ['-1', '0', '0-1', '1', '1-2', '2', '2-3', '3'];
+
+// Date of the DWD feed, e.g. 2019-02-21 11:00 Uhr
+const datePattern = /^\d{4}-\d{2}-\d{2} \d{1,2}:\d{2}/;
+
+/**
+ * Expected structure of the DWD feed (s31fg.json). Every property is checked with its test function.
+ */
+const schema = {
+    last_update: (value) => typeof value === 'string' && datePattern.test(value),
+    next_update: (value) => typeof value === 'string' && datePattern.test(value),
+    content: (value) => Array.isArray(value) && value.length > 0
+};
+
+const contentSchema = {
+    region_id: (value) => value !== '' && value !== null && !isNaN(Number(value)),
+    region_name: (value) => typeof value === 'string',
+    partregion_id: (value) => value !== '' && value !== null && !isNaN(Number(value)),
+    Pollen: (value) => value !== null && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0
+};
+
+/**
+ * Validates the DWD pollen data. Errors make the data unusable, warnings are unknown values
+ * which are shown as 'no data available'.
+ * @param {any} data The DWD data
+ * @returns {{errors: string[], warnings: string[]}}
+ */
+function validatePayload(data) {
+    const errors = [];
+    const warnings = [];
+    if (data === null || typeof data !== 'object' || Array.isArray(data)) {
+        errors.push('data is not a JSON object');
+        return { errors, warnings };
+    }
+    for (const key in schema) {
+        if (!schema[key](data[key])) {
+            errors.push('invalid ' + key + ': ' + JSON.stringify(data[key]));
+        }
+    }
+    const content = Array.isArray(data.content) ? data.content : [];
+    for (let i = 0; i < content.length; i++) {
+        const entry = content[i];
+        if (entry === null || typeof entry !== 'object') {
+            errors.push('invalid content[' + i + ']');
+            continue;
+        }
+        for (const key in contentSchema) {
+            if (!contentSchema[key](entry[key])) {
+                errors.push('invalid content[' + i + '].' + key + ': ' + JSON.stringify(entry[key]));
+            }
+        }
+        if (!contentSchema.Pollen(entry.Pollen)) continue;
+        for (const pollen in entry.Pollen) {
+            const days = entry.Pollen[pollen];
+            if (days === null || typeof days !== 'object') {
+                errors.push('invalid content[' + i + '].Pollen.' + pollen);
+                continue;
+            }
+            for (const day in days) {
+                if (!riskIndexValues.includes(String(days[day]))) {
+                    warnings.push('unknown risk index content[' + i + '].Pollen.' + pollen + '.' + day + ': ' + JSON.stringify(days[day]));
+                }
+            }
+        }
+    }
+    return { errors, warnings };
+}
+
+module.exports = {
+    validatePayload
+};
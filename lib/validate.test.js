@@ -0,0 +1,82 @@
+'use strict';
+
+const { expect } = require('chai');
+const { validatePayload } = require('./validate');
+const recorded = require('../test/replay/dwd_2026-04-16T09-05-00-000Z.json');
+
+// Copy of the recorded payload with changes
+function getPayload(change) {
+    const data = JSON.parse(JSON.stringify(recorded));
+    if (change) change(data);
+    return data;
+}
+
+describe('validate', () => {
+    it('accepts the recorded DWD payload', () => {
+        expect(validatePayload(getPayload())).to.deep.equal({ errors: [], warnings: [] });
+    });
+
+    it('rejects data which is no JSON object', () => {
+        expect(validatePayload(null).errors).to.deep.equal(['data is not a JSON object']);
+        expect(validatePayload([]).errors).to.deep.equal(['data is not a JSON object']);
+        expect(validatePayload('<html>').errors).to.deep.equal(['data is not a JSON object']);
+    });
+
+    it('rejects a missing last_update or next_update', () => {
+        const result = validatePayload(getPayload((data) => {
+            delete data.last_update;
+            delete data.next_update;
+        }));
+        expect(result.errors).to.deep.equal(['invalid last_update: undefined', 'invalid next_update: undefined']);
+    });
+
+    it('rejects a garbled last_update or next_update', () => {
+        const result = validatePayload(getPayload((data) => {
+            data.last_update = '16.04.2026 11:00 Uhr';
+            data.next_update = 20260417;
+        }));
+        expect(result.errors).to.deep.equal(['invalid last_update: "16.04.2026 11:00 Uhr"', 'invalid next_update: 20260417']);
+    });
+
+    it('rejects an empty or missing content', () => {
+        expect(validatePayload(getPayload((data) => { data.content = []; })).errors).to.deep.equal(['invalid content: []']);
+        expect(validatePayload(getPayload((data) => { delete data.content; })).errors).to.deep.equal(['invalid content: undefined']);
+    });
+
+    it('rejects invalid regions', () => {
+        const result = validatePayload(getPayload((data) => {
+            data.content[0].region_id = '';
+            data.content[1].partregion_id = 'x';
+            data.content[2] = null;
+        }));
+        expect(result.errors).to.deep.equal(['invalid content[0].region_id: ""', 'invalid content[1].partregion_id: "x"', 'invalid content[2]']);
+    });
+
+    it('rejects a Pollen which is no object', () => {
+        const result = validatePayload(getPayload((data) => {
+            data.content[0].Pollen = [];
+            data.content[1].Pollen = 'Birke';
+            data.content[2].Pollen = {};
+            data.content[3].Pollen.Birke = null;
+        }));
+        expect(result.errors).to.deep.equal([
+            'invalid content[0].Pollen: []',
+            'invalid content[1].Pollen: "Birke"',
+            'invalid content[2].Pollen: {}',
+            'invalid content[3].Pollen.Birke'
+        ]);
+    });
+
+    it('only warns about unknown risk indexes', () => {
+        const result = validatePayload(getPayload((data) => {
+            data.content[0].Pollen.Birke.today = '4';
+            data.content[0].Pollen.Erle.dayafter_to = '';
+        }));
+        expect(result.errors).to.be.empty;
+        expect(result.warnings).to.deep.equal(['unknown risk index content[0].Pollen.Erle.dayafter_to: ""', 'unknown risk index content[0].Pollen.Birke.today: "4"']);
+    });
+
+    it('accepts the risk index -1 of days without data', () => {
+        expect(validatePayload(getPayload((data) => { data.content[0].Pollen.Birke.today = -1; })).warnings).to.be.empty;
+    });
+});
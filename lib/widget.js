@@ -0,0 +1,105 @@
+'use strict';
+
+// Colours of the risk numbers 0 (no pollen) to 6 (high)
+const defaultColors = ['#4caf50', '#8bc34a', '#cddc39', '#ffeb3b', '#ffc107', '#ff9800', '#f44336'];
+
+const themes = {
+    light: { background: '#ffffff', text: '#212121', border: '#e0e0e0', nodata: '#bdbdbd' },
+    dark: { background: '#263238', text: '#eceff1', border: '#455a64', nodata: '#607d8b' }
+};
+
+/**
+ * @typedef {object} WidgetRow
+ * @property {string} pollen Pollen type of the DWD feed
+ * @property {string} name Name of the pollen in the language of the texts
+ * @property {number} number Risk number 0 - 6, -1 if no data is available
+ * @property {string} text Text of the risk index
+ */
+
+/**
+ * @typedef {object} WidgetOptions
+ * @property {string} [sort] 'risk' (highest first), 'name' or '' (order of the DWD feed)
+ * @property {string[]} [pollen] Pollen types to show, all if empty
+ * @property {string[]} [colors] Colours of the risk numbers 0 - 6
+ * @property {string} [theme] 'light' or 'dark'
+ */
+
+function escapeHtml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function getColor(number, options, theme) {
+    if (number < 0) {
+        return theme.nodata;
+    }
+    const colors = options.colors || [];
+    return escapeHtml(colors[number] || defaultColors[number]);
+}
+
+/**
+ * Filters and sorts the rows
+ * @param {WidgetRow[]} rows The rows in the order of the DWD feed
+ * @param {WidgetOptions} options The options
+ * @returns {WidgetRow[]}
+ */
+function getRows(rows, options) {
+    const pollen = options.pollen || [];
+    const result = rows.filter((row) => pollen.length === 0 || pollen.includes(row.pollen));
+    if (options.sort === 'risk') {
+        result.sort((a, b) => b.number - a.number || a.name.localeCompare(b.name));
+    } else if (options.sort === 'name') {
+        result.sort((a, b) => a.name.localeCompare(b.name));
+    }
+    return result;
+}
+
+/**
+ * HTML table with one row per pollen and a colour-coded risk level
+ * @param {WidgetRow[]} rows The rows in the order of the DWD feed
+ * @param {WidgetOptions} options The options
+ * @returns {string}
+ */
+function renderHtml(rows, options) {
+    const theme = themes[options.theme] || themes.light;
+    const cell = 'padding:4px 8px;border-bottom:1px solid ' + theme.border + ';';
+    let html = '<table style="border-collapse:collapse;width:100%;font-family:sans-serif;font-size:14px;background:' +
+        theme.background + ';color:' + theme.text + '">';
+    for (const row of getRows(rows, options)) {
+        html += '<tr><td style="' + cell + '">' + escapeHtml(row.name) + '</td>' +
+            '<td style="' + cell + 'width:24px"><span style="display:inline-block;width:14px;height:14px;border-radius:50%;background:' +
+            getColor(row.number, options, theme) + '"></span></td>' +
+            '<td style="' + cell + '">' + escapeHtml(row.text) + '</td></tr>';
+    }
+    return html + '</table>';
+}
+
+/**
+ * SVG bar chart with one bar per pollen, the length of the bar is the risk number
+ * @param {WidgetRow[]} rows The rows in the order of the DWD feed
+ * @param {WidgetOptions} options The options
+ * @returns {string}
+ */
+function renderSvg(rows, options) {
+    const theme = themes[options.theme] || themes.light;
+    const list = getRows(rows, options);
+    const width = 320;
+    const label = 110;
+    const bar = 20;
+    const height = list.length * (bar + 6) + 6;
+    let svg = '<svg xmlns="http://www.w3.org/2000/svg" width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height +
+        '" font-family="sans-serif" font-size="13"><rect width="100%" height="100%" fill="' + theme.background + '"/>';
+    list.forEach((row, i) => {
+        const y = 6 + i * (bar + 6);
+        const length = row.number > 0 ? Math.round(row.number / 6 * (width - label - 10)) : 4;
+        svg += '<text x="6" y="' + (y + 15) + '" fill="' + theme.text + '">' + escapeHtml(row.name) + '</text>' +
+            '<rect x="' + label + '" y="' + y + '" width="' + length + '" height="' + bar + '" rx="3" fill="' + getColor(row.number, options, theme) + '">' +
+            '<title>' + escapeHtml(row.text) + '</title></rect>';
+    });
+    return svg + '</svg>';
+}
+
+module.exports = {
+    defaultColors,
+    renderHtml,
+    renderSvg
+};
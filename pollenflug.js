@@ -5,17 +5,95 @@
 /* jslint esversion: 6 */
 'use strict';
 
+const path = require('path');
 const utils = require('@iobroker/adapter-core');
-const request = require('request-promise-native');
+const schedule = require('node-schedule');
+const { fetchJson } = require('./lib/http');
+const { regions, findRegion } = require('./lib/regions');
+const storage = require('./lib/storage');
+const { addDay, getStatistics } = require('./lib/history');
+const { addUpdate, getRevision } = require('./lib/revisions');
+const { getProvider } = require('./lib/providers');
+const images = require('./lib/images');
+const widget = require('./lib/widget');
+const time = require('./lib/time');
+const i18n = require('./lib/i18n');
+const replay = require('./lib/replay');
+const digest = require('./lib/digest');
+const speech = require('./lib/speech');
+const { getOverview } = require('./lib/overview');
 const adapterName = require('./package.json').name.split('.').pop();
 
 let systemLanguage;
 let adapter;
+let autoRegion = null; // partregion found for the location of the ioBroker system
+let systemLocation; // latitude and longitude of the system settings
+let lastResult; // last DWD data, used to rebuild the objects if the configuration changes
+let pollingTimer;
+let cronJob; // job of the cron schedule, undefined if the requests follow the next update of DWD
+let digestJob; // job of the daily digest
+let abortController; // cancels the running requests on unload
+let runningRequest; // promise of the running request, concurrent requests wait for it
+let lastRequest; // start time of the last request
+let unloaded = false;
+let replayPosition = 0; // position of the next file in the replay directory
+let history; // risk numbers by region, pollen and day, stored in history.json
+let revisions; // forecast of tomorrow and value of today by region, pollen and day, stored in revisions.json
+let lastFetch; // status and timing of the last request
+let httpCache; // ETag and Last-Modified of the last response
+let lastError = '';
+let lastSuccess; // time of the last request with valid data
+let nextPolling;
+let imagesUpdate; // last_update of the DWD data of the downloaded maps
 
+// Minimum time between two requests of the cron schedule
+const minCronInterval = 10 * 60 * 1000;
+
+// DWD risk indexes, the position is the risk number
+const riskIndexes = ['0', '0-1', '1', '1-2', '2', '2-3', '3'];
+
+// Pollen types of all providers: DWD and Olive of Open-Meteo
+const pollenTypes = ['Hasel', 'Erle', 'Esche', 'Birke', 'Graeser', 'Roggen', 'Beifuss', 'Ambrosia', 'Olive'];
+
+// DWD keys of the forecast days and the names used for the info and image states
+const forecastDays = {
+    today: 'today',
+    tomorrow: 'tomorrow',
+    dayafter_to: 'dayaftertomorrow'
+};
+
+
+// *****************************************************************************************************
+// Resets the state of the instance. In compact mode startAdapter is called again in the same process
+// if the instance is restarted, the values of the former instance must not be used.
+// *****************************************************************************************************
+function resetInstance() {
+    systemLanguage = undefined;
+    autoRegion = null;
+    systemLocation = undefined;
+    lastResult = undefined;
+    pollingTimer = undefined;
+    cronJob = undefined;
+    digestJob = undefined;
+    abortController = undefined;
+    runningRequest = undefined;
+    lastRequest = undefined;
+    unloaded = false;
+    replayPosition = 0;
+    history = undefined;
+    revisions = undefined;
+    lastFetch = undefined;
+    httpCache = undefined;
+    lastError = '';
+    lastSuccess = undefined;
+    nextPolling = undefined;
+    imagesUpdate = undefined;
+}
 
 function startAdapter(options) {
     options = options || {};
     options.name = adapterName;
+    resetInstance();
     adapter = new utils.Adapter(options);
 
     // *****************************************************************************************************
@@ -24,6 +102,14 @@ function startAdapter(options) {
     adapter.on('unload', async (callback) => {
         try {
             adapter.log.info('Closing Adapter');
+            unloaded = true;
+            if (pollingTimer) clearTimeout(pollingTimer);
+            pollingTimer = null;
+            if (cronJob) cronJob.cancel();
+            cronJob = undefined;
+            if (digestJob) digestJob.cancel();
+            digestJob = undefined;
+            if (abortController) abortController.abort();
             callback();
         } catch (e) {
             // adapter.log.error('Error');
@@ -34,9 +120,20 @@ function startAdapter(options) {
     // *****************************************************************************************************
     // Listen for sendTo messages
     // *****************************************************************************************************
-    //adapter.on('message', async (msg) => {
-    //
-    //});
+    adapter.on('message', async (msg) => {
+        if (msg && msg.command) {
+            let response;
+            try {
+                response = await processMessage(msg.command, msg.message || {});
+            } catch (error) {
+                adapter.log.error('Error processing message ' + msg.command + ' / ' + error);
+                response = { error: String(error) };
+            }
+            if (msg.callback) {
+                adapter.sendTo(msg.from, msg.command, response, msg.callback);
+            }
+        }
+    });
 
     // *****************************************************************************************************
     // is called when databases are connected and adapter received configuration.
@@ -46,76 +143,306 @@ function startAdapter(options) {
         adapter.log.info('Starting Adapter ' + adapter.namespace + ' in version ' + adapter.version);
         const obj = await adapter.getForeignObjectAsync('system.config');
         if (obj && obj.common && obj.common.language) systemLanguage = (obj.common.language).toUpperCase();
+        setAutoRegion(obj);
+        await adapter.subscribeForeignObjectsAsync('system.config');
+        abortController = new AbortController();
+        await createInfoObjects();
+        await adapter.subscribeStatesAsync('info.refresh');
+        if (adapter.config.schedule === 'cron') startCronSchedule();
+        if (adapter.config.digestEnable) startDigestSchedule();
         await main();
     });
+
+    // *****************************************************************************************************
+    // is called if a subscribed state changes (button info.refresh)
+    // *****************************************************************************************************
+    adapter.on('stateChange', async (id, state) => {
+        if (state && !state.ack && id === adapter.namespace + '.info.refresh') {
+            await adapter.setStateAsync('info.refresh', { val: false, ack: true });
+            await refresh();
+        }
+    });
+
+    // *****************************************************************************************************
+    // is called if a subscribed object changes (system.config for language and location)
+    // *****************************************************************************************************
+    adapter.on('objectChange', async (id, obj) => {
+        if (id === 'system.config' && obj) {
+            if (obj.common && obj.common.language) systemLanguage = (obj.common.language).toUpperCase();
+            if (setAutoRegion(obj) && lastResult) {
+                await updateObjects(lastResult);
+                await setStates(lastResult);
+            }
+        }
+    });
     return adapter;
 }
 
-function datePlusdDays(date, number) {
-    const mydate = new Date(date.getTime());
-    mydate.setDate(mydate.getDate() + number);
-    return mydate;
-}
-
-function getImage(weekday, plant) {
-    const url = 'https://www.dwd.de/DWD/warnungen/medizin/pollen/';
-    if (weekday && plant) {
-        const plants = {
-            hasel: 0,
-            erle: 1,
-            birke: 2,
-            graeser: 3,
-            roggen: 4,
-            beifuss: 5,
-            ambrosia: 6,
-            esche: 7,
-        };
-        const weekdays = {
-            today: 1,
-            tomorrow: 2,
-            dayaftertomorrow: 3
+// *****************************************************************************************************
+// sendTo commands: getForecast, listRegions, refresh, getStatus, sendDigest and getRegionOptions (admin UI)
+// *****************************************************************************************************
+async function processMessage(command, message) {
+    switch (command) {
+        case 'getForecast':
+            return getForecast(message.region, message.day, message.pollen);
+        case 'listRegions':
+            return listRegions();
+        case 'sendDigest':
+            return { result: 'ok', sent: await sendDigest() };
+        case 'getRegionOptions':
+            return await getRegionOptions(message.provider);
+        case 'refresh': {
+            const result = await refresh();
+            return result ? { result: 'ok', last_update: result.last_update, next_update: result.next_update } : { error: 'Error requesting DWD pollen information' };
+        }
+        case 'getStatus':
+            return {
+                connected: !!(lastFetch && lastFetch.valid), // like info.connection, false while the last data is used after an error
+                last_update: lastResult ? lastResult.last_update : null,
+                next_update: lastResult ? lastResult.next_update : null,
+                nextRequest: getNextRequest() ? getNextRequest().toISOString() : null,
+                schedule: cronJob ? 'cron' : 'next_update',
+                lastError: lastError,
+                dataStale: isDataStale(),
+                regions: getRegions(),
+                autoRegion: isAutoRegion() ? autoRegion : undefined,
+                forecastDays: getDays().length
+            };
+        default:
+            return { error: 'Unknown command ' + command };
+    }
+}
+
+function getForecast(region, day, pollenFilter) {
+    if (!lastResult) {
+        return { error: 'No DWD pollen information available' };
+    }
+    const days = getDays();
+    let dayKey = day === undefined || day === null || day === '' ? 'today' : String(day);
+    if (/^\d+$/.test(dayKey)) {
+        dayKey = days[Number(dayKey)];
+    } else if (!days.includes(dayKey)) {
+        dayKey = days.find((key) => forecastDays[key] === dayKey);
+    }
+    if (!dayKey) {
+        return { error: 'Unknown day ' + day };
+    }
+    const content = getPollenflugForRegion(lastResult, region !== undefined && region !== null && region !== '' ? [String(region)] : getRegions());
+    const entry = content[0];
+    if (!entry) {
+        return { error: 'Unknown region ' + region };
+    }
+    let filter = pollenFilter;
+    if (filter && !Array.isArray(filter)) filter = String(filter).split(',');
+    if (filter) filter = filter.map((pollen) => String(pollen).trim().toLowerCase());
+    const forecast = {
+        region: entry.partregion_id != -1 ? entry.partregion_id : entry.region_id,
+        name: entry.partregion_id != -1 ? entry.region_name + ' - ' + entry.partregion_name : entry.region_name,
+        day: dayKey,
+        date: time.getDayStart(getDate(lastResult.last_update), days.indexOf(dayKey)).toISOString(),
+        pollen: {}
+    };
+    for (const j in entry.Pollen) {
+        if (filter && !filter.includes(j.toLowerCase())) continue;
+        const riskindex = entry.Pollen[j][dayKey];
+        forecast.pollen[j] = {
+            index: getRiskNumber(riskindex),
+            dwd: riskindex,
+            text: getRiskIndexText(riskindex, j)
         };
+    }
+    return forecast;
+}
 
-        const urlweekday = weekdays[weekday.toLowerCase()];
-        const urlplant = plants[plant.toLowerCase()];
-        return url + 'pollen_' + urlweekday + '_' + urlplant + '.png';
-    } else {
-        return '';
+function listRegions() {
+    const selected = getPollenflugForRegion(lastResult, getRegions()).map((entry) => entry.partregion_id != -1 ? entry.partregion_id : entry.region_id);
+    const list = lastResult ? getPollenflugForRegion(lastResult, ['*']).map((entry) => ({
+        id: entry.partregion_id != -1 ? entry.partregion_id : entry.region_id,
+        region_id: entry.region_id,
+        name: entry.partregion_id != -1 ? entry.region_name + ' - ' + entry.partregion_name : entry.region_name
+    })) : getDataProvider().getRegions(getDataProvider().getContext(adapter.config, systemLocation));
+    return list.map((region) => Object.assign(region, { selected: selected.includes(region.id) }));
+}
+
+// *****************************************************************************************************
+// Daily digest: a text of today's and tomorrow's relevant pollen for every recipient of the configuration,
+// sent with sendTo to messaging adapters like telegram, pushover, email or signal.
+// *****************************************************************************************************
+function startDigestSchedule() {
+    const match = /^(\d{1,2}):(\d{2})/.exec(String(adapter.config.digestTime || '').trim());
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+        adapter.log.error('Invalid time of the pollen digest "' + adapter.config.digestTime + '"');
+        return;
     }
+    digestJob = schedule.scheduleJob(Number(match[2]) + ' ' + Number(match[1]) + ' * * *', async () => {
+        await sendDigest();
+    });
 }
 
-function getRiskIndexText(index, plant) {
-    let text;
-    const indextext_de = {
-        '0': 'keine Belastung',
-        '0-1': 'keine bis geringe Belastung',
-        '1': 'geringe Belastung',
-        '1-2': 'geringe bis mittlere Belastung',
-        '2': 'mittlere Belastung',
-        '2-3': 'mittlere bis hohe Belastung',
-        '3': 'hohe Belastung'
-    };
-    const indextext_en = {
-        '0': 'not any pollen concentration',
-        '0-1': 'not any to low pollen concentration',
-        '1': 'low pollen concentration',
-        '1-2': 'low to medium pollen concentration',
-        '2': 'medium pollen concentration',
-        '2-3': 'medium to high pollen concentration',
-        '3': 'high pollen concentration'
-    };
-    if (systemLanguage === 'DE') {
-        text = indextext_de[index] || 'keine Daten vorhanden';
-        if (plant) {
-            text = text + ' für ' + plant;
+// Regions of a recipient with the risk of all pollen for today and tomorrow. Before the update of DWD
+// (around 11 o'clock) the data is from yesterday, so tomorrow of the data is today.
+function getDigestRegions(recipient) {
+    const dataDay = getDate(lastResult.last_update);
+    const offset = dataDay ? Math.max(Math.round((time.getDayStart(new Date()).getTime() - time.getDayStart(dataDay).getTime()) / (24 * 60 * 60 * 1000)), 0) : 0;
+    const keys = Object.keys(forecastDays);
+    return getPollenflugForRegion(lastResult, recipient.regions.length > 0 ? recipient.regions : getRegions()).map((entry) => ({
+        name: entry.partregion_id != -1 ? entry.region_name + ' - ' + entry.partregion_name : entry.region_name,
+        days: ['today', 'tomorrow'].map((day, n) => {
+            const key = keys[n + offset];
+            return {
+                day: day,
+                values: key ? Object.keys(entry.Pollen).map((pollen) => ({
+                    pollen: pollen,
+                    index: entry.Pollen[pollen][key],
+                    number: getRiskNumber(entry.Pollen[pollen][key])
+                })) : []
+            };
+        })
+    }));
+}
+
+async function sendDigest() {
+    if (!lastResult) {
+        adapter.log.warn('Pollen digest not sent, no pollen information available');
+        return 0;
+    }
+    const language = getLanguage();
+    let sent = 0;
+    for (const recipient of digest.getRecipients(adapter.config.digestRecipients)) {
+        try {
+            const text = digest.buildDigest(getDigestRegions(recipient), recipient, language, !!adapter.config.digestSkipEmpty);
+            if (!text) {
+                adapter.log.debug('Pollen digest for ' + recipient.instance + ' skipped, no relevant pollen');
+                continue;
+            }
+            adapter.sendTo(recipient.instance, 'send', digest.getMessage(recipient.instance, text, i18n.getDigestText('title', language), recipient.recipient));
+            sent++;
+        } catch (error) {
+            adapter.log.error('Error sending pollen digest to ' + recipient.instance + ' / ' + error);
         }
+    }
+    adapter.log.info('Pollen digest sent to ' + sent + ' recipients');
+    return sent;
+}
+
+// *****************************************************************************************************
+// Choices of the region selection of the admin UI. The regions and partregions are read from the current
+// DWD data, the built-in list of partregions is only used if DWD can not be reached.
+// *****************************************************************************************************
+async function getRegionOptions(providerName) {
+    const provider = getProvider(providerName || adapter.config.provider);
+    if (provider.name !== 'dwd') {
+        return []; // other providers use the configured locations
+    }
+    let content;
+    if (lastResult && (lastResult.provider || 'dwd') === 'dwd') {
+        content = lastResult.content;
     } else {
-        text = indextext_en[index] || 'no data available';
-        if (plant) {
-            text = text + ' for ' + plant;
+        try {
+            const response = await fetchJson(provider.getUrl(adapter.config), getRequestOptions());
+            if (provider.validate(response.data).errors.length === 0) {
+                content = provider.normalize(response.data).content;
+            }
+        } catch (error) {
+            adapter.log.warn('Error requesting the DWD regions / ' + error);
+        }
+    }
+    if (!content) {
+        content = regions.map((region) => ({
+            region_id: region.region_id,
+            region_name: region.region_name,
+            partregion_id: region.partregion_name ? region.id : -1,
+            partregion_name: region.partregion_name
+        }));
+    }
+    const language = getLanguage();
+    const options = [
+        { label: i18n.getRegionText('all', language), value: '*' },
+        { label: i18n.getRegionText('auto', language), value: 'auto' }
+    ];
+    const added = [];
+    for (const entry of content) {
+        if (!added.includes(entry.region_id)) {
+            added.push(entry.region_id);
+            options.push({ label: entry.region_name, value: String(entry.region_id) });
+        }
+        if (entry.partregion_id != -1) {
+            options.push({ label: '\u00a0\u00a0\u00a0' + entry.partregion_name, value: String(entry.partregion_id) });
+        }
+    }
+    return options;
+}
+
+// *****************************************************************************************************
+// Finds the DWD partregion for the location (latitude / longitude) of the ioBroker system.
+// Returns true if the partregion has changed and the automatic region mode is active.
+// *****************************************************************************************************
+function setAutoRegion(obj) {
+    const common = obj && obj.common || {};
+    systemLocation = { latitude: common.latitude, longitude: common.longitude };
+    const region = findRegion(common.latitude, common.longitude);
+    const id = region ? String(region.id) : undefined;
+    const changed = id !== autoRegion;
+    autoRegion = id;
+    if (!isAutoRegion()) {
+        return false;
+    }
+    if (!region) {
+        adapter.log.warn('No DWD partregion found for the location of the system (' + common.latitude + ', ' + common.longitude + '), the location is outside of Germany or invalid. Please check latitude and longitude in the system settings.');
+    } else if (changed) {
+        adapter.log.info('Location of the system (' + common.latitude + ', ' + common.longitude + ') is in DWD partregion ' + region.id + ' (' + region.name + ')');
+    }
+    return changed;
+}
+
+function isAutoRegion() {
+    return adapter.config.region === 'auto' || (Array.isArray(adapter.config.region) && adapter.config.region.includes('auto'));
+}
+
+async function setAutoRegionStates() {
+    try {
+        if (isAutoRegion()) {
+            const region = lastResult && autoRegion ? getPollenflugForRegion(lastResult, [autoRegion])[0] : undefined;
+            const name = region ? (region.partregion_id != -1 ? region.region_name + ' - ' + region.partregion_name : region.region_name) : '';
+            await adapter.setStateAsync('info.region', { val: autoRegion ? Number(autoRegion) : 0, ack: true });
+            await adapter.setStateAsync('info.region_name', { val: name, ack: true });
         }
+    } catch (error) {
+        adapter.log.error('Error setting region States ' + error);
     }
-    return text;
+}
+
+// *****************************************************************************************************
+// DWD keys of the days for the configured forecast horizon (2 or 3 days)
+// *****************************************************************************************************
+function getDays() {
+    const days = Object.keys(forecastDays);
+    return Number(adapter.config.forecastDays) === 3 ? days : days.slice(0, 2);
+}
+
+// *****************************************************************************************************
+// 2019-02-21 -> timestamp of the day at midnight in Germany, null for an empty day
+// *****************************************************************************************************
+function getDayTime(day) {
+    const date = day ? time.parseDwdDate(day) : undefined;
+    return date ? date.getTime() : null;
+}
+
+function getLanguage() {
+    return i18n.getLanguage(adapter.config.language || systemLanguage);
+}
+
+function getRiskIndexText(index, plant) {
+    return i18n.getRiskText(index, plant, getLanguage());
+}
+
+// Texts of the risk numbers for common.states, -1 is no data available
+function getRiskStates() {
+    const states = { '-1': getRiskIndexText() };
+    riskIndexes.forEach((index, number) => {
+        states[number] = getRiskIndexText(index);
+    });
+    return states;
 }
 
 function getRiskNumber(index) {
@@ -149,61 +476,157 @@ function getRiskNumber(index) {
     return number;
 }
 
-async function deleteOldState(deviceid) {
+// *****************************************************************************************************
+// Creates the object or updates type and common of an existing object, so installations of older
+// versions get corrected metadata. extendObject merges common, user settings like common.custom are kept.
+// Objects marked as orphaned by the cleanup are used again and lose the mark.
+// *****************************************************************************************************
+async function ensureObject(id, obj) {
+    const existing = await adapter.getObjectAsync(id);
+    if (!existing) {
+        return await adapter.setObjectAsync(id, obj);
+    }
+    if (existing.native && existing.native.orphaned) {
+        adapter.log.info('Cleanup: ' + id + ' is used again');
+        delete existing.native.orphaned;
+        await adapter.setObjectAsync(id, existing);
+    }
+    const existingCommon = existing.common || {};
+    const common = {};
+    for (const key in obj.common) {
+        if (JSON.stringify(existingCommon[key]) !== JSON.stringify(obj.common[key])) {
+            common[key] = obj.common[key];
+        }
+    }
+    if (existing.type !== obj.type || Object.keys(common).length > 0) {
+        adapter.log.debug('Updating object ' + id + ': ' + Object.keys(common).join(', '));
+        return await adapter.extendObjectAsync(id, { type: obj.type, common: common });
+    }
+}
+
+// *****************************************************************************************************
+// States of a device which are no longer used with the current configuration (ids without namespace)
+// *****************************************************************************************************
+async function getOutdatedStates(deviceid) {
+    const outdatedStates = [];
     try {
         if (deviceid) {
-            const states = await adapter.getStatesOfAsync(deviceid, deviceid);
+            const dayaftertomorrow = getDays().includes('dayafter_to');
+            const states = await adapter.getStatesOfAsync(deviceid);
             for (const j in states) {
                 const stateid = states[j]._id.split('.').pop();
-                if (stateid.endsWith('_dayaftertomorrow') || stateid.endsWith('_dayafter_to') || stateid.startsWith('json_text_')) {
-                    const id = states[j]._id.replace(adapter.config.namespace + '.', '');
-                    await adapter.delObjectAsync(id);
+                const outdated = !dayaftertomorrow && (stateid.endsWith('_dayaftertomorrow') || stateid.endsWith('_dayafter_to') || stateid === 'dayaftertomorrow' || stateid === 'dayaftertomorrow_text' || states[j]._id.includes('.riskindex_dayafter_to.'));
+                const region = !isAutoRegion() && deviceid === 'info' && (stateid === 'region' || stateid === 'region_name');
+                const statistics = deviceid.startsWith('region#') && ((!adapter.config.historyEnable && ['trend', 'season_start', 'peak_day', 'peak_value', 'days_above'].includes(stateid)) ||
+                    (!adapter.config.revisionEnable && ['revision', 'revision_delta', 'accuracy', 'accuracy_days'].includes(stateid)));
+                const widgets = deviceid.startsWith('region#') && states[j]._id.split('.').length === 4 &&
+                    ((!adapter.config.widgetEnable && stateid.startsWith('html_')) || (!(adapter.config.widgetEnable && adapter.config.widgetSvg) && stateid.startsWith('svg_')));
+                const speeches = getSpeechVerbosity() === 'off' && deviceid.startsWith('region#') && states[j]._id.split('.').length === 4 && stateid.startsWith('speech_');
+                if (outdated || region || statistics || widgets || speeches || stateid.startsWith('json_text_')) {
+                    outdatedStates.push(states[j]._id.replace(adapter.namespace + '.', ''));
                 }
             }
+            if (!dayaftertomorrow && await adapter.getObjectAsync(deviceid + '.riskindex_dayafter_to')) {
+                outdatedStates.push(deviceid + '.riskindex_dayafter_to');
+            }
         }
     } catch (error) {
-        adapter.log.error('Error deleting old States: ' + deviceid + ' / ' + error);
+        adapter.log.error('Error reading old States: ' + deviceid + ' / ' + error);
     }
+    return outdatedStates;
+}
+
+// *****************************************************************************************************
+// Cleanup of devices of regions which are no longer selected and of outdated states. Modes of the
+// configuration: 'off', 'dryrun' (only logged), 'archive' (objects are marked with native.orphaned) and
+// 'delete'. Objects with custom settings (e.g. history, influxdb) or aliases are kept, together with their
+// parents, unless the deletion of these objects is confirmed in the configuration.
+// *****************************************************************************************************
+function getCleanupMode() {
+    return ['off', 'dryrun', 'archive', 'delete'].includes(adapter.config.cleanupMode) ? adapter.config.cleanupMode : 'delete';
+}
+
+function hasCustomSettings(obj) {
+    const custom = obj && obj.common && obj.common.custom;
+    return !!custom && Object.keys(custom).some((key) => !!custom[key]);
 }
 
-async function deleteDeviceRecursiveAsync(deviceid) {
+// Ids of the states of this instance which are the target of an alias
+async function getAliasTargets() {
+    const targets = [];
     try {
-        if (deviceid) {
-            const channels = await adapter.getChannelsOfAsync(deviceid);
-            for (const i in channels) {
-                const channelid = channels[i]._id.split('.').pop();
-                const states = await adapter.getStatesOfAsync(deviceid, channelid);
-                for (const j in states) {
-                    const stateid = states[j]._id.split('.').pop();
-                    const id = deviceid + '.' + channelid + '.' + stateid;
-                    await adapter.delObjectAsync(id);
+        const aliases = await adapter.getForeignObjectsAsync('alias.*', 'state');
+        for (const id in aliases) {
+            const alias = aliases[id] && aliases[id].common && aliases[id].common.alias;
+            if (!alias || !alias.id) continue;
+            const ids = typeof alias.id === 'string' ? [alias.id] : [alias.id.read, alias.id.write];
+            for (const target of ids) {
+                if (typeof target === 'string' && target.startsWith(adapter.namespace + '.')) targets.push(target);
+            }
+        }
+    } catch (error) {
+        adapter.log.warn('Error reading aliases / ' + error);
+    }
+    return targets;
+}
+
+// Short list of ids for the log
+function getIdList(ids) {
+    return ids.slice(0, 20).join(', ') + (ids.length > 20 ? ', ... (' + ids.length + ')' : '');
+}
+
+async function cleanupObjects(devices, states) {
+    const mode = getCleanupMode();
+    const report = { time: Date.now(), mode: mode, orphaned: devices, outdated: states, deleted: 0, archived: 0, kept: [] };
+    const prefix = adapter.namespace + '.';
+    if (mode !== 'off' && devices.length + states.length > 0) {
+        const objects = {};
+        for (const deviceid of devices) {
+            Object.assign(objects, await adapter.getForeignObjectsAsync(prefix + deviceid + '.*'));
+            objects[prefix + deviceid] = await adapter.getObjectAsync(deviceid);
+        }
+        for (const id of states) {
+            Object.assign(objects, await adapter.getForeignObjectsAsync(prefix + id + '.*'));
+            objects[prefix + id] = await adapter.getObjectAsync(id);
+        }
+        const ids = Object.keys(objects).filter((id) => objects[id]);
+        const aliasTargets = adapter.config.cleanupCustom ? [] : await getAliasTargets();
+        const kept = adapter.config.cleanupCustom ? [] : ids.filter((id) => hasCustomSettings(objects[id]) || aliasTargets.includes(id));
+        // children before parents, parents of kept objects are kept as well
+        const removable = ids.filter((id) => !kept.some((keptid) => keptid === id || keptid.startsWith(id + '.')))
+            .sort((a, b) => b.split('.').length - a.split('.').length);
+        const topmost = removable.filter((id) => !removable.some((other) => id.startsWith(other + '.'))).map((id) => id.replace(prefix, ''));
+        report.kept = kept.map((id) => id.replace(prefix, ''));
+        if (kept.length > 0) {
+            adapter.log.warn('Cleanup: ' + kept.length + ' objects with custom settings or aliases are kept: ' + getIdList(report.kept));
+        }
+        if (mode === 'dryrun') {
+            if (topmost.length > 0) adapter.log.info('Cleanup (dry-run): ' + removable.length + ' objects would be deleted: ' + getIdList(topmost));
+        } else if (mode === 'archive') {
+            for (const id of devices.concat(states)) {
+                const obj = objects[prefix + id];
+                if (obj && !(obj.native && obj.native.orphaned)) {
+                    await adapter.extendObjectAsync(id, { native: { orphaned: report.time } });
+                    report.archived++;
                 }
-                await adapter.deleteChannelAsync(deviceid, channelid);
             }
-            const states = await adapter.getStatesOfAsync(deviceid, deviceid);
-            for (const j in states) {
-                const stateid = states[j]._id.split('.').pop();
-                const id = deviceid + '.' + stateid;
-                await adapter.delObjectAsync(id);
+            if (report.archived > 0) adapter.log.info('Cleanup: ' + report.archived + ' objects marked as orphaned');
+        } else {
+            for (const id of removable) {
+                await adapter.delObjectAsync(id.replace(prefix, ''));
+                report.deleted++;
             }
-            await adapter.deleteDeviceAsync(deviceid);
+            if (topmost.length > 0) adapter.log.info('Cleanup: ' + removable.length + ' objects deleted: ' + getIdList(topmost));
         }
-    } catch (error) {
-        adapter.log.error('Error deleting Device: ' + deviceid + ' / ' + error);
     }
+    await adapter.setStateAsync('info.cleanup', { val: JSON.stringify(report), ack: true });
 }
 
 // *****************************************************************************************************
-// 21.02.2019 11:00 Uhr -> Date Object
+// 2019-02-21 11:00 Uhr (time in Germany) -> Date Object, undefined if invalid
 // *****************************************************************************************************
 function getDate(datum) {
-    let mydate;
-    if (datum) {
-        const seps = [' ', '\\.', '\\+', '-', '\\(', '\\)', '\\*', '/', ':', '\\?'];
-        const fields = datum.split(new RegExp(seps.join('|'), 'g'));
-        mydate = new Date(fields[0], fields[1] - 1, fields[2], fields[3], fields[4]);
-    }
-    return mydate;
+    return time.parseDwdDate(datum);
 }
 
 //function getWeekday(datum) {
@@ -214,30 +637,36 @@ function getDate(datum) {
 
 async function deleteObjects(result) {
     try {
+        if (isAutoRegion() && !autoRegion) {
+            // without a valid location the devices of the region are kept until the location is fixed
+            adapter.log.warn('No DWD partregion for the location of the system, the cleanup of old objects is skipped');
+            return;
+        }
         if (result) {
-            const content = getPollenflugForRegion(result, adapter.config.region) || [];
+            const content = getPollenflugForRegion(result, getRegions()) || [];
+            const profiles = getProfiles();
             const devices = await adapter.getDevicesAsync();
-            const promise = [];
+            const orphaned = [];
+            let outdated = [];
             for (const j in devices) {
                 // let id = devices[j]._id.replace(adapter.namespace + '.', '');
                 const id = devices[j]._id.split('.').pop();
-                await deleteOldState(id);
-                let found = false;
+                outdated = outdated.concat(await getOutdatedStates(id));
+                let found = id === 'info' || (id === 'images' && !!getDataProvider().getImage) || profiles.some((profile) => profile.id === id) || (id === 'overview' && isOverviewEnabled());
                 for (const i in content) {
                     const entry = content[i];
                     const partregion_id = entry.partregion_id != -1 ? entry.partregion_id : entry.region_id;
                     const deviceid = 'region#' + partregion_id;
-                    if (deviceid === id || id === 'info' || id === 'images') {
+                    if (deviceid === id) {
                         found = true;
                         break;
                     }
                 }
                 if (found === false && id) {
-                    // await adapter.deleteDeviceAsync(id);
-                    promise.push(await deleteDeviceRecursiveAsync(id));
+                    orphaned.push(id);
                 }
             }
-            await Promise.all(promise);
+            await cleanupObjects(orphaned, outdated.filter((stateid) => !orphaned.includes(stateid.split('.')[0])));
         }
     } catch (error) {
         adapter.log.error('Error deleting Objects ' + error);
@@ -247,47 +676,139 @@ async function deleteObjects(result) {
 async function createInfoObjects() {
     try {
         const promise = [];
-        await adapter.setObjectNotExistsAsync('info', {
+        await ensureObject('info', {
             type: 'device',
             common: {
                 name: 'Information'
             }
         });
-        promise.push(await adapter.setObjectNotExistsAsync('info.today', {
+        promise.push(await ensureObject('info.today', {
             type: 'state',
             common: {
                 name: 'Today',
-                type: 'string',
+                type: 'number',
                 role: 'date',
                 read: true,
                 write: false
             },
             native: {}
         }));
-        promise.push(await adapter.setObjectNotExistsAsync('info.tomorrow', {
+        promise.push(await ensureObject('info.tomorrow', {
             type: 'state',
             common: {
-                name: 'Tomorow',
-                type: 'string',
+                name: 'Tomorrow',
+                type: 'number',
                 role: 'date',
                 read: true,
                 write: false
             },
             native: {}
         }));
-        /*
-    promise.push(await adapter.setObjectNotExistsAsync('info.dayaftertomorrow', {
-      type: 'state',
-      common: {
-        name: 'Day after tomorrow',
-        type: 'string',
-        role: 'date',
-        read: true,
-        write: false
-      },
-      native: {}
-    }));
-    */
+        promise.push(await ensureObject('info.refresh', {
+            type: 'state',
+            common: {
+                name: 'Request the pollen information now',
+                type: 'boolean',
+                role: 'button',
+                read: false,
+                write: true
+            },
+            native: {}
+        }));
+        promise.push(await ensureObject('info.cleanup', {
+            type: 'state',
+            common: {
+                name: 'Result of the cleanup of unused objects',
+                type: 'string',
+                role: 'json',
+                read: true,
+                write: false
+            },
+            native: {}
+        }));
+        promise.push(await ensureObject('info.cached', {
+            type: 'state',
+            common: {
+                name: 'Data from cache (DWD not reachable)',
+                type: 'boolean',
+                role: 'indicator',
+                read: true,
+                write: false
+            },
+            native: {}
+        }));
+        const dateStates = {
+            last_update: { name: 'Last update of DWD', type: 'number', role: 'date' },
+            next_update: { name: 'Next update of DWD', type: 'number', role: 'date' },
+            last_update_text: { name: 'Last update of DWD', type: 'string', role: 'text' },
+            next_update_text: { name: 'Next update of DWD', type: 'string', role: 'text' },
+            today_text: { name: 'Today', type: 'string', role: 'text' },
+            tomorrow_text: { name: 'Tomorrow', type: 'string', role: 'text' }
+        };
+        if (getDays().includes('dayafter_to')) {
+            dateStates.dayaftertomorrow_text = { name: 'Day after tomorrow', type: 'string', role: 'text' };
+        }
+        for (const id in dateStates) {
+            promise.push(await ensureObject('info.' + id, {
+                type: 'state',
+                common: Object.assign({ read: true, write: false }, dateStates[id]),
+                native: {}
+            }));
+        }
+        const fetchStates = {
+            fetch_time: { name: 'Time of the last request', type: 'number', role: 'date' },
+            fetch_duration: { name: 'Duration of the last request', type: 'number', role: 'value', unit: 'ms' },
+            fetch_attempts: { name: 'Attempts of the last request', type: 'number', role: 'value' },
+            fetch_status: { name: 'HTTP status of the last request', type: 'number', role: 'value' },
+            connection: { name: 'Connected to DWD', type: 'boolean', role: 'indicator.connected' },
+            lastError: { name: 'Last error', type: 'string', role: 'text' },
+            lastSuccessfulUpdate: { name: 'Time of the last successful update', type: 'number', role: 'date' },
+            dataStale: { name: 'No new data since the announced next update', type: 'boolean', role: 'indicator' }
+        };
+        for (const id in fetchStates) {
+            promise.push(await ensureObject('info.' + id, {
+                type: 'state',
+                common: Object.assign({ read: true, write: false }, fetchStates[id]),
+                native: {}
+            }));
+        }
+        if (isAutoRegion()) {
+            promise.push(await ensureObject('info.region', {
+                type: 'state',
+                common: {
+                    name: 'Partregion of the system location',
+                    type: 'number',
+                    role: 'value',
+                    read: true,
+                    write: false
+                },
+                native: {}
+            }));
+            promise.push(await ensureObject('info.region_name', {
+                type: 'state',
+                common: {
+                    name: 'Name of the partregion of the system location',
+                    type: 'string',
+                    role: 'text',
+                    read: true,
+                    write: false
+                },
+                native: {}
+            }));
+        }
+        if (getDays().includes('dayafter_to')) {
+            promise.push(await ensureObject('info.dayaftertomorrow', {
+                type: 'state',
+                common: {
+                    name: 'Day after tomorrow',
+                    type: 'number',
+                    role: 'date',
+                    read: true,
+                    write: false
+                },
+                native: {}
+            }));
+        }
         await Promise.all(promise);
     } catch (error) {
         adapter.log.error('Error creating Info Objects ' + error);
@@ -297,11 +818,11 @@ async function createInfoObjects() {
 
 async function createImageObjects(result) {
     try {
-        if (result) {
-            const content = getPollenflugForRegion(result, adapter.config.region) || [];
+        if (result && getDataProvider().getImage) {
+            const content = getPollenflugForRegion(result, getRegions()) || [];
             const promise = [];
             const deviceid = adapter.namespace + '.images';
-            await adapter.setObjectNotExistsAsync(deviceid, {
+            await ensureObject(deviceid, {
                 type: 'device',
                 common: {
                     name: 'Images'
@@ -312,47 +833,32 @@ async function createImageObjects(result) {
                 for (const j in entry.Pollen) {
                     //const pollen = entry.Pollen[j];
                     const channelid = deviceid + '.' + j;
-                    await adapter.setObjectNotExistsAsync(channelid, {
+                    await ensureObject(channelid, {
                         type: 'channel',
                         common: {
-                            name: 'Images for ' + j
+                            name: i18n.getPollenTranslations(j)
                         }
                     });
-                    promise.push(await adapter.setObjectNotExistsAsync(channelid + '.image_today', {
-                        type: 'state',
-                        common: {
-                            name: 'Today',
-                            type: 'string',
-                            role: 'weather.chart.url',
-                            read: true,
-                            write: false
-                        },
-                        native: {}
-                    }));
-                    promise.push(await adapter.setObjectNotExistsAsync(channelid + '.image_tomorrow', {
-                        type: 'state',
-                        common: {
-                            name: 'Tomorow',
-                            type: 'string',
-                            role: 'weather.chart.url',
-                            read: true,
-                            write: false
-                        },
-                        native: {}
-                    }));
-                    /*
-          promise.push(await adapter.setObjectNotExistsAsync(channelid + '.image_dayaftertomorrow', {
-            type: 'state',
-            common: {
-              name: 'Day after tomorrow',
-              type: 'string',
-              role: 'weather.chart.url',
-              read: true,
-              write: false
-            },
-            native: {}
-          }));
-          */
+                    const names = {
+                        today: 'Today',
+                        tomorrow: 'Tomorrow',
+                        dayaftertomorrow: 'Day after tomorrow'
+                    };
+                    const days = getDays();
+                    for (const m in days) {
+                        const day = forecastDays[days[m]];
+                        promise.push(await ensureObject(channelid + '.image_' + day, {
+                            type: 'state',
+                            common: {
+                                name: names[day],
+                                type: 'string',
+                                role: 'weather.chart.url',
+                                read: true,
+                                write: false
+                            },
+                            native: {}
+                        }));
+                    }
                 }
                 break; // only one call
             }
@@ -367,37 +873,36 @@ async function createImageObjects(result) {
 async function createObjects(result) {
     try {
         if (result) {
-            const content = getPollenflugForRegion(result, adapter.config.region) || [];
+            const content = getPollenflugForRegion(result, getRegions()) || [];
             const promise = [];
             for (const i in content) {
                 const entry = content[i];
                 const partregion_id = entry.partregion_id != -1 ? entry.partregion_id : entry.region_id;
                 const partregion_name = entry.partregion_id != -1 ? entry.region_name + ' - ' + entry.partregion_name : entry.region_name;
                 const deviceid = adapter.namespace + '.region#' + partregion_id;
-                await adapter.setObjectNotExistsAsync(deviceid, {
+                await ensureObject(deviceid, {
                     type: 'device',
                     common: {
                         name: partregion_name
                     }
                 });
                 const channelid = deviceid + '.summary';
-                await adapter.setObjectNotExistsAsync(channelid, {
+                await ensureObject(channelid, {
                     type: 'channel',
                     common: {
                         name: 'summary'
                     }
                 });
-                // let days = ['today', 'tomorrow', 'dayafter_to'];
-                const days = ['today', 'tomorrow'];
+                const days = getDays();
                 for (const m in days) {
                     const day = days[m];
                     let stateid = deviceid + '.summary.json_index_' + day;
-                    promise.push(await adapter.setObjectNotExistsAsync(stateid, {
+                    promise.push(await ensureObject(stateid, {
                         type: 'state',
                         common: {
                             name: 'Summary ' + day + ' (index)',
                             type: 'string',
-                            role: 'state',
+                            role: 'json',
                             read: true,
                             write: false
                         },
@@ -405,7 +910,7 @@ async function createObjects(result) {
                     }));
                     /*
           stateid = deviceid + '.summary.json_text_' + day;
-          promise.push(await adapter.setObjectNotExistsAsync(stateid, {
+          promise.push(await ensureObject(stateid, {
             type: 'state',
             common: {
               name: 'Summary ' + day + ' (text)',
@@ -418,19 +923,70 @@ async function createObjects(result) {
           }));
           */
                     stateid = deviceid + '.summary.json_riskindex_' + day;
-                    promise.push(await adapter.setObjectNotExistsAsync(stateid, {
+                    promise.push(await ensureObject(stateid, {
                         type: 'state',
                         common: {
                             name: 'Summary ' + day + ' (riskindex)',
                             type: 'string',
-                            role: 'state',
+                            role: 'json',
+                            read: true,
+                            write: false
+                        },
+                        native: {}
+                    }));
+                    promise.push(await createSummaryObjects(deviceid + '.summary', day, Number(m) > 0));
+                    promise.push(await ensureObject(deviceid + '.alarm_' + day, {
+                        type: 'state',
+                        common: {
+                            name: 'Alarm ' + day,
+                            type: 'boolean',
+                            role: 'indicator.alarm',
                             read: true,
                             write: false
                         },
                         native: {}
                     }));
+                    if (adapter.config.widgetEnable) {
+                        promise.push(await ensureObject(deviceid + '.html_' + day, {
+                            type: 'state',
+                            common: {
+                                name: 'HTML table ' + day,
+                                type: 'string',
+                                role: 'html',
+                                read: true,
+                                write: false
+                            },
+                            native: {}
+                        }));
+                    }
+                    if (getSpeechVerbosity() !== 'off') {
+                        promise.push(await ensureObject(deviceid + '.speech_' + day, {
+                            type: 'state',
+                            common: {
+                                name: 'Spoken forecast ' + day,
+                                type: 'string',
+                                role: 'text',
+                                read: true,
+                                write: false
+                            },
+                            native: {}
+                        }));
+                    }
+                    if (adapter.config.widgetEnable && adapter.config.widgetSvg) {
+                        promise.push(await ensureObject(deviceid + '.svg_' + day, {
+                            type: 'state',
+                            common: {
+                                name: 'SVG chart ' + day,
+                                type: 'string',
+                                role: 'html',
+                                read: true,
+                                write: false
+                            },
+                            native: {}
+                        }));
+                    }
                     const channelid = deviceid + '.riskindex_' + days[m];
-                    await adapter.setObjectNotExistsAsync(channelid, {
+                    await ensureObject(channelid, {
                         type: 'channel',
                         common: {
                             name: 'riskindex'
@@ -438,12 +994,12 @@ async function createObjects(result) {
                     });
                     for (let l = 0; l <= 6; l++) {
                         const stateid = channelid + '.riskindex_' + l;
-                        promise.push(await adapter.setObjectNotExistsAsync(stateid, {
+                        promise.push(await ensureObject(stateid, {
                             type: 'state',
                             common: {
                                 name: 'Riskindex ' + l,
                                 type: 'string',
-                                role: 'state',
+                                role: 'text',
                                 read: true,
                                 write: false
                             },
@@ -452,36 +1008,43 @@ async function createObjects(result) {
                     }
                 }
                 for (const j in entry.Pollen) {
-                    const pollen = entry.Pollen[j];
                     const channelid = deviceid + '.' + j;
-                    await adapter.setObjectNotExistsAsync(channelid, {
+                    await ensureObject(channelid, {
                         type: 'channel',
                         common: {
-                            name: j
+                            name: i18n.getPollenTranslations(j)
                         }
                     });
-                    for (const k in pollen) {
-                        if (k === 'dayafter_to') continue;
-                        //const riskindex = pollen[k];
+                    if (adapter.config.historyEnable) {
+                        promise.push(await createHistoryObjects(channelid));
+                    }
+                    if (adapter.config.revisionEnable) {
+                        promise.push(await createRevisionObjects(channelid));
+                    }
+                    for (const m in days) {
+                        const k = days[m];
                         let stateid = channelid + '.index_' + k;
-                        promise.push(await adapter.setObjectNotExistsAsync(stateid, {
+                        promise.push(await ensureObject(stateid, {
                             type: 'state',
                             common: {
                                 name: k,
                                 type: 'number',
-                                role: 'state',
+                                role: 'value',
+                                min: -1,
+                                max: 6,
+                                states: getRiskStates(),
                                 read: true,
                                 write: false
                             },
                             native: {}
                         }));
                         stateid = channelid + '.text_' + k;
-                        promise.push(await adapter.setObjectNotExistsAsync(stateid, {
+                        promise.push(await ensureObject(stateid, {
                             type: 'state',
                             common: {
                                 name: k,
                                 type: 'string',
-                                role: 'state',
+                                role: 'text',
                                 read: true,
                                 write: false
                             },
@@ -498,11 +1061,18 @@ async function createObjects(result) {
 }
 
 
+// ['Graeser', 'Roggen'] -> 'Grasses, Rye' in the language of the texts
+function getPollenNames(pollenList) {
+    return (pollenList || []).map((pollen) => i18n.getPollenName(pollen, getLanguage())).join(', ');
+}
+
 async function setStates(result) {
     try {
         if (result) {
-            const content = getPollenflugForRegion(result, adapter.config.region) || [];
+            const content = getPollenflugForRegion(result, getRegions()) || [];
             const promise = [];
+            const notifications = []; // new alarms of today
+            const imageUrls = {};
             let image = false;
             for (const i in content) {
                 const entry = content[i];
@@ -512,12 +1082,13 @@ async function setStates(result) {
                 // let json_text = {};
                 //const json_riskindex = {};
                 const index = {};
+                const days = getDays();
                 for (const j in entry.Pollen) {
                     const channelid = deviceid + '.' + j;
                     const pollen = entry.Pollen[j];
-                    for (const k in pollen) {
-                        if (k === 'dayafter_to') continue;
-                        const riskindex = pollen[k];
+                    for (const m in days) {
+                        const k = days[m];
+                        const riskindex = pollen[k]; // no value from DWD is shown as -1 (no data available)
                         if (!json_index[k]) { json_index[k] = []; }
                         // if (!json_text[k]) { json_text[k] = []; }
                         if (!index[k]) { index[k] = {}; }
@@ -527,8 +1098,10 @@ async function setStates(result) {
                             index[k][getRiskNumber(riskindex)].push(j);
                         }
                         if (getRiskNumber(riskindex) >= 0) {
+                            // Pollen is the DWD id for scripts, Name the translated name
                             json_index[k].push({
                                 'Pollen': j,
+                                'Name': i18n.getPollenName(j, getLanguage()),
                                 'Riskindex': getRiskNumber(riskindex),
                                 'Riskindextext': getRiskIndexText(riskindex)
                             });
@@ -547,17 +1120,15 @@ async function setStates(result) {
                         stateid = channelid + '.text_' + k;
                         promise.push(await adapter.setStateAsync(stateid, { val: getRiskIndexText(riskindex, j), ack: true }));
                     }
-                    if (image === false) {
-                        const imageid = adapter.namespace + '.images.' + j;
-                        promise.push(await adapter.setStateAsync(imageid + '.image_today', { val: getImage('today', j), ack: true }));
-                        promise.push(await adapter.setStateAsync(imageid + '.image_tomorrow', { val: getImage('tomorrow', j), ack: true }));
-                        // promise.push(await adapter.setStateAsync(imageid + '.image_dayaftertomorrow', { val: getImage('dayaftertomorrow', j), ack: true }));
+                    if (image === false && getDataProvider().getImage) {
+                        for (const m in days) {
+                            const day = forecastDays[days[m]];
+                            imageUrls[j + '.image_' + day] = getDataProvider().getImage(day, j);
+                        }
                     }
                 }
                 image = true;
 
-                // let days = ['today', 'tomorrow', 'dayafter_to'];
-                const days = ['today', 'tomorrow'];
                 for (const m in days) {
                     const day = days[m];
                     let stateid = deviceid + '.summary.json_index_' + day;
@@ -570,27 +1141,38 @@ async function setStates(result) {
                     for (let n = 0; n <= 6; n++) {
                         riskindex[day].push({
                             'Riskindex': n,
-                            'Riskindextext': getRiskIndexText(n),
-                            'Pollen': index[day][n] ? (index[day][n]).toString().replace(/,/g, ', ') : ''
+                            'Riskindextext': getRiskIndexText(riskIndexes[n]),
+                            'Pollen': index[day] && index[day][n] ? (index[day][n]).toString().replace(/,/g, ', ') : '',
+                            'Name': getPollenNames(index[day] && index[day][n])
                         });
                     }
                     stateid = deviceid + '.summary.json_riskindex_' + day;
                     promise.push(await adapter.setStateAsync(stateid, { val: JSON.stringify(riskindex[day] || {}), ack: true }));
                     for (let l = 0; l <= 6; l++) {
-                        const value = index && index[day] && index[day][l] ? index[day][l].toString().replace(/,/g, ', ') : '';
+                        const value = getPollenNames(index && index[day] && index[day][l]);
                         const stateid = deviceid + '.riskindex_' + day + '.riskindex_' + l;
                         promise.push(await adapter.setStateAsync(stateid, { val: value, ack: true }));
                     }
+                    promise.push(await setSummaryStates(deviceid + '.summary', entry, day, Number(m) > 0 ? days[Number(m) - 1] : undefined));
+                    const name = entry.partregion_id != -1 ? entry.region_name + ' - ' + entry.partregion_name : entry.region_name;
+                    promise.push(await setAlarmState(deviceid + '.alarm_' + day, name, entry, day, Object.keys(entry.Pollen), notifications));
+                    if (adapter.config.widgetEnable) {
+                        promise.push(await setWidgetStates(deviceid, entry, day));
+                    }
+                    if (getSpeechVerbosity() !== 'off') {
+                        promise.push(await setSpeechState(deviceid + '.speech_' + day, entry, day));
+                    }
                 }
             }
 
-            const today = getDate(result.last_update);
-            const tomorrow = datePlusdDays(today, 1);
-            // let dayaftertomorrow = datePlusdDays(today, 2);
-            promise.push(await adapter.setStateAsync('info.today', { val: today.toString(), ack: true }));
-            promise.push(await adapter.setStateAsync('info.tomorrow', { val: tomorrow.toString(), ack: true }));
-            // promise.push(await adapter.setStateAsync('info.dayaftertomorrow', { val: dayaftertomorrow.toString(), ack: true }));
+            promise.push(await setDateStates(result));
             await Promise.all(promise);
+            await setImageStates(imageUrls, result);
+            await setProfileStates(result, notifications);
+            await sendAlarmNotification(notifications);
+            await setOverviewStates(result);
+            await setHistoryStates(result);
+            await setRevisionStates(result);
         }
     } catch (error) {
         adapter.log.error('Error setting States ' + error);
@@ -598,51 +1180,975 @@ async function setStates(result) {
 }
 
 
-function getPollenflugForRegion(data, region) {
-    const dataregion = [];
-    if (data && data.content) {
-        const content = data.content;
-        for (const i in content) {
-            if (!region || region == '*' || content[i].region_id == region) {
-                dataregion.push(content[i]);
-            }
-        }
+// *****************************************************************************************************
+// Summary of a region and day: maximum risk number, the allergens with this maximum, number of pollen
+// at or above medium (risk number 4) and the change of the maximum compared with the day before
+// *****************************************************************************************************
+async function createSummaryObjects(channelid, day, delta) {
+    const states = {
+        max: { name: 'Maximum risk index ' + day, type: 'number', role: 'value', min: -1, max: 6, states: getRiskStates() },
+        allergens: { name: 'Allergens with the maximum risk index ' + day, type: 'string', role: 'text' },
+        count_medium: { name: 'Number of pollen at or above medium ' + day, type: 'number', role: 'value', min: 0 }
+    };
+    if (delta) {
+        states.delta = { name: 'Change of the maximum risk index compared with the day before ' + day, type: 'number', role: 'value', min: -6, max: 6 };
+    }
+    for (const id in states) {
+        await ensureObject(channelid + '.' + id + '_' + day, {
+            type: 'state',
+            common: Object.assign({ read: true, write: false }, states[id]),
+            native: {}
+        });
+    }
+}
+
+function getSummary(entry, day) {
+    const summary = { max: -1, allergens: [], count_medium: 0 };
+    for (const j in entry.Pollen) {
+        const number = getRiskNumber(entry.Pollen[j][day]);
+        if (number >= 4) summary.count_medium++;
+        if (number > summary.max) {
+            summary.max = number;
+            summary.allergens = [];
+        }
+        if (number === summary.max && number > 0) summary.allergens.push(j);
+    }
+    return summary;
+}
+
+async function setSummaryStates(channelid, entry, day, previousDay) {
+    try {
+        const summary = getSummary(entry, day);
+        const allergens = summary.allergens.map((j) => i18n.getPollenName(j, getLanguage())).join(', ');
+        await adapter.setStateAsync(channelid + '.max_' + day, { val: summary.max, ack: true });
+        await adapter.setStateAsync(channelid + '.allergens_' + day, { val: allergens, ack: true });
+        await adapter.setStateAsync(channelid + '.count_medium_' + day, { val: summary.count_medium, ack: true });
+        if (previousDay) {
+            const previous = getSummary(entry, previousDay);
+            const delta = summary.max >= 0 && previous.max >= 0 ? summary.max - previous.max : null;
+            await adapter.setStateAsync(channelid + '.delta_' + day, { val: delta, ack: true });
+        }
+    } catch (error) {
+        adapter.log.error('Error setting summary States ' + channelid + ' / ' + error);
+    }
+}
+
+// *****************************************************************************************************
+// Timestamps and human readable dates of the last and next DWD update and of every forecast day
+// *****************************************************************************************************
+async function setDateStates(result) {
+    try {
+        const language = getLanguage();
+        const dates = {
+            last_update: getDate(result.last_update),
+            next_update: getDate(result.next_update)
+        };
+        const days = getDays();
+        for (const m in days) {
+            dates[forecastDays[days[m]]] = dates.last_update ? time.getDayStart(dates.last_update, Number(m)) : undefined;
+        }
+        for (const id in dates) {
+            const date = dates[id];
+            const withTime = id === 'last_update' || id === 'next_update';
+            await adapter.setStateAsync('info.' + id, { val: date ? date.getTime() : null, ack: true });
+            await adapter.setStateAsync('info.' + id + '_text', { val: date ? time.formatDate(date, language, withTime) : '', ack: true });
+        }
+    } catch (error) {
+        adapter.log.error('Error setting date States ' + error);
+    }
+}
+
+// *****************************************************************************************************
+// HTML table and SVG chart of a region for dashboards like VIS
+// *****************************************************************************************************
+function getWidgetOptions() {
+    const colors = [];
+    for (let n = 0; n <= 6; n++) {
+        colors.push(adapter.config['widgetColor' + n] || widget.defaultColors[n]);
+    }
+    let pollen = adapter.config.widgetPollen || [];
+    if (!Array.isArray(pollen)) pollen = String(pollen).split(',');
+    return {
+        sort: adapter.config.widgetSort,
+        pollen: pollen.map((j) => String(j).trim()).filter((j) => j),
+        colors: colors,
+        theme: adapter.config.widgetTheme
+    };
+}
+
+async function setWidgetStates(deviceid, entry, day) {
+    try {
+        const rows = Object.keys(entry.Pollen).map((j) => ({
+            pollen: j,
+            name: i18n.getPollenName(j, getLanguage()),
+            number: getRiskNumber(entry.Pollen[j][day]),
+            text: getRiskIndexText(entry.Pollen[j][day])
+        }));
+        const options = getWidgetOptions();
+        await adapter.setStateAsync(deviceid + '.html_' + day, { val: widget.renderHtml(rows, options), ack: true });
+        if (adapter.config.widgetSvg) {
+            await adapter.setStateAsync(deviceid + '.svg_' + day, { val: widget.renderSvg(rows, options), ack: true });
+        }
+    } catch (error) {
+        adapter.log.error('Error setting widget States ' + deviceid + ' / ' + error);
+    }
+}
+
+// *****************************************************************************************************
+// Spoken forecast of a region and day for voice assistants, e.g. "Morgen hohe Belastung durch Gräser,
+// mittlere durch Roggen, sonst keine."
+// *****************************************************************************************************
+function getSpeechVerbosity() {
+    return ['off', 'short', 'normal', 'detailed'].includes(adapter.config.speechVerbosity) ? adapter.config.speechVerbosity : 'off';
+}
+
+async function setSpeechState(stateid, entry, day) {
+    try {
+        const values = Object.keys(entry.Pollen).map((j) => ({
+            pollen: j,
+            index: entry.Pollen[j][day],
+            number: getRiskNumber(entry.Pollen[j][day])
+        }));
+        const text = speech.buildSentence(day, values, getLanguage(), getSpeechVerbosity());
+        await adapter.setStateAsync(stateid, { val: text, ack: true });
+    } catch (error) {
+        adapter.log.error('Error setting speech State ' + stateid + ' / ' + error);
+    }
+}
+
+// *****************************************************************************************************
+// Images states with the DWD maps. With imageDownload the maps are stored in the file storage of the
+// instance and the states point to the local copies, a failed download keeps the last local copy.
+// *****************************************************************************************************
+async function setImageStates(imageUrls, result) {
+    try {
+        if (!adapter.config.imageDownload) {
+            for (const id in imageUrls) {
+                await adapter.setStateAsync('images.' + id, { val: imageUrls[id], ack: true });
+            }
+            await images.cleanupImages(adapter, []);
+            imagesUpdate = undefined;
+            return;
+        }
+        if (imagesUpdate === result.last_update) return; // maps of this DWD update are already stored
+        const local = await images.downloadImages(adapter, imageUrls, getRequestOptions());
+        const used = [];
+        let failed = 0;
+        for (const id in imageUrls) {
+            let url = local[id];
+            if (!url) {
+                failed++;
+                const state = await adapter.getStateAsync('images.' + id);
+                url = state && await images.isLocalImage(adapter, state.val) ? state.val : imageUrls[id];
+            }
+            if (url !== imageUrls[id]) used.push(url);
+            await adapter.setStateAsync('images.' + id, { val: url, ack: true });
+        }
+        const deleted = await images.cleanupImages(adapter, used);
+        adapter.log.debug('Images downloaded: ' + (Object.keys(imageUrls).length - failed) + ', failed: ' + failed + ', deleted: ' + deleted);
+        // failed maps are downloaded again with the next polling
+        imagesUpdate = failed === 0 ? result.last_update : undefined;
+    } catch (error) {
+        adapter.log.error('Error setting image States ' + error);
+    }
+}
+
+// *****************************************************************************************************
+// Allergy profiles from the configuration. Every profile has a weight per pollen,
+// pollen without weight are not relevant for the profile.
+// *****************************************************************************************************
+function getProfiles() {
+    const profiles = [];
+    const config = Array.isArray(adapter.config.profiles) ? adapter.config.profiles : [];
+    for (const i in config) {
+        const profile = config[i];
+        const name = profile && profile.name ? String(profile.name).trim() : '';
+        if (!name) continue;
+        const weights = {};
+        for (const j in pollenTypes) {
+            const weight = parseFloat(String(profile[pollenTypes[j]] || 0).replace(',', '.'));
+            if (weight > 0) weights[pollenTypes[j]] = weight;
+        }
+        profiles.push({
+            id: 'profile#' + name.toLowerCase().replace(adapter.FORBIDDEN_CHARS, '_').replace(/[\s.#]/g, '_'),
+            name: name,
+            region: profile.region !== undefined && profile.region !== null ? String(profile.region).trim() : '',
+            weights: weights
+        });
+    }
+    return profiles;
+}
+
+// *****************************************************************************************************
+// Weighted burden of a profile for one day. The burden is the weighted mean of the risk numbers (0 - 6)
+// of all relevant pollen, the worst allergen is the pollen with the highest weighted risk.
+// *****************************************************************************************************
+function getProfileBurden(entry, weights, day) {
+    let sum = 0;
+    let weightsum = 0;
+    let worst;
+    let worstvalue = 0;
+    for (const j in weights) {
+        const riskindex = entry && entry.Pollen && entry.Pollen[j] ? entry.Pollen[j][day] : undefined;
+        const number = getRiskNumber(riskindex);
+        if (number < 0) continue;
+        sum += weights[j] * number;
+        weightsum += weights[j];
+        if (weights[j] * number > worstvalue) {
+            worstvalue = weights[j] * number;
+            worst = j;
+        }
+    }
+    return {
+        burden: weightsum > 0 ? Math.round(sum / weightsum * 10) / 10 : -1,
+        allergen: worst ? i18n.getPollenName(worst, getLanguage()) : '',
+        text: worst ? getRiskIndexText(entry.Pollen[worst][day], worst) : getRiskIndexText(weightsum > 0 ? '0' : undefined)
+    };
+}
+
+// *****************************************************************************************************
+// History of the daily risk numbers with trend and season statistics per pollen
+// *****************************************************************************************************
+async function createHistoryObjects(channelid) {
+    const states = {
+        trend: { name: 'Trend (rising, stable, falling)', type: 'string', role: 'text', states: { rising: 'rising', stable: 'stable', falling: 'falling' } },
+        season_start: { name: 'Start of the season', type: 'number', role: 'date' },
+        peak_day: { name: 'Day of the peak in this season', type: 'number', role: 'date' },
+        peak_value: { name: 'Peak value in this season', type: 'number', role: 'value', min: 0, max: 6 },
+        days_above: { name: 'Days at or above level ' + getHistoryLevel() + ' in this season', type: 'number', role: 'value', min: 0 }
+    };
+    for (const id in states) {
+        await ensureObject(channelid + '.' + id, {
+            type: 'state',
+            common: Object.assign({ read: true, write: false }, states[id]),
+            native: {}
+        });
     }
-    return dataregion;
 }
 
+function getHistoryLevel() {
+    const level = parseInt(adapter.config.historyLevel, 10);
+    return isNaN(level) ? 4 : level;
+}
+
+async function setHistoryStates(result) {
+    try {
+        if (!adapter.config.historyEnable) return;
+        if (!history) {
+            history = await storage.readJson(adapter, 'history.json', {});
+        }
+        const content = getPollenflugForRegion(result, getRegions()) || [];
+        const day = time.formatDay(getDate(result.last_update));
+        const maxDays = parseInt(adapter.config.historyDays, 10) || 365;
+        const promise = [];
+        for (const i in content) {
+            const entry = content[i];
+            const partregion_id = entry.partregion_id != -1 ? entry.partregion_id : entry.region_id;
+            const values = {};
+            for (const j in entry.Pollen) {
+                values[j] = getRiskNumber(entry.Pollen[j].today);
+            }
+            addDay(history, String(partregion_id), day, values, maxDays);
+            for (const j in entry.Pollen) {
+                const statistics = getStatistics(history[partregion_id][j], day, getHistoryLevel());
+                const channelid = 'region#' + partregion_id + '.' + j;
+                statistics.season_start = getDayTime(statistics.season_start);
+                statistics.peak_day = getDayTime(statistics.peak_day);
+                for (const id in statistics) {
+                    promise.push(await adapter.setStateAsync(channelid + '.' + id, { val: statistics[id], ack: true }));
+                }
+            }
+        }
+        await storage.writeJson(adapter, 'history.json', history);
+        await Promise.all(promise);
+    } catch (error) {
+        adapter.log.error('Error setting history States ' + error);
+    }
+}
+
+// *****************************************************************************************************
+// Revisions of the forecast: the value of tomorrow is kept until the next update and compared with the
+// value of today, the accuracy is the percentage of unchanged values within the days to keep
+// *****************************************************************************************************
+async function createRevisionObjects(channelid) {
+    const states = {
+        revision: { name: 'Revision of the forecast of the day before (up, down, unchanged)', type: 'string', role: 'text', states: { up: 'up', down: 'down', unchanged: 'unchanged' } },
+        revision_delta: { name: 'Change of the risk number compared with the forecast of the day before', type: 'number', role: 'value', min: -6, max: 6 },
+        accuracy: { name: 'Forecasts of tomorrow without revision', type: 'number', role: 'value', unit: '%', min: -1, max: 100 },
+        accuracy_days: { name: 'Days with forecast and value of today', type: 'number', role: 'value', min: 0 }
+    };
+    for (const id in states) {
+        await ensureObject(channelid + '.' + id, {
+            type: 'state',
+            common: Object.assign({ read: true, write: false }, states[id]),
+            native: {}
+        });
+    }
+}
+
+async function setRevisionStates(result) {
+    try {
+        if (!adapter.config.revisionEnable) return;
+        if (!revisions) {
+            revisions = await storage.readJson(adapter, 'revisions.json', {});
+        }
+        const content = getPollenflugForRegion(result, getRegions()) || [];
+        const day = time.formatDay(getDate(result.last_update));
+        const maxDays = parseInt(adapter.config.historyDays, 10) || 365;
+        const promise = [];
+        for (const i in content) {
+            const entry = content[i];
+            const partregion_id = entry.partregion_id != -1 ? entry.partregion_id : entry.region_id;
+            const values = {};
+            for (const j in entry.Pollen) {
+                values[j] = { today: getRiskNumber(entry.Pollen[j].today), tomorrow: getRiskNumber(entry.Pollen[j].tomorrow) };
+            }
+            addUpdate(revisions, String(partregion_id), day, values, maxDays);
+            for (const j in entry.Pollen) {
+                const revision = getRevision(revisions[partregion_id][j], day);
+                const channelid = 'region#' + partregion_id + '.' + j;
+                for (const id in revision) {
+                    promise.push(await adapter.setStateAsync(channelid + '.' + id, { val: revision[id], ack: true }));
+                }
+            }
+        }
+        await storage.writeJson(adapter, 'revisions.json', revisions);
+        await Promise.all(promise);
+    } catch (error) {
+        adapter.log.error('Error setting revision States ' + error);
+    }
+}
+
+async function createProfileObjects() {
+    try {
+        const profiles = getProfiles();
+        const days = getDays();
+        const promise = [];
+        for (const i in profiles) {
+            const profile = profiles[i];
+            await ensureObject(profile.id, {
+                type: 'device',
+                common: {
+                    name: profile.name
+                }
+            });
+            for (const m in days) {
+                const day = days[m];
+                promise.push(await ensureObject(profile.id + '.burden_' + day, {
+                    type: 'state',
+                    common: {
+                        name: 'Weighted burden ' + day,
+                        type: 'number',
+                        role: 'value',
+                        min: -1,
+                        max: 6,
+                        read: true,
+                        write: false
+                    },
+                    native: {}
+                }));
+                promise.push(await ensureObject(profile.id + '.allergen_' + day, {
+                    type: 'state',
+                    common: {
+                        name: 'Worst allergen ' + day,
+                        type: 'string',
+                        role: 'text',
+                        read: true,
+                        write: false
+                    },
+                    native: {}
+                }));
+                promise.push(await ensureObject(profile.id + '.text_' + day, {
+                    type: 'state',
+                    common: {
+                        name: day,
+                        type: 'string',
+                        role: 'text',
+                        read: true,
+                        write: false
+                    },
+                    native: {}
+                }));
+                promise.push(await ensureObject(profile.id + '.alarm_' + day, {
+                    type: 'state',
+                    common: {
+                        name: 'Alarm ' + day,
+                        type: 'boolean',
+                        role: 'indicator.alarm',
+                        read: true,
+                        write: false
+                    },
+                    native: {}
+                }));
+            }
+        }
+        await Promise.all(promise);
+    } catch (error) {
+        adapter.log.error('Error creating profile Objects ' + error);
+    }
+}
+
+async function setProfileStates(result, notifications) {
+    try {
+        const profiles = getProfiles();
+        const days = getDays();
+        const promise = [];
+        for (const i in profiles) {
+            const profile = profiles[i];
+            const region = profile.region === 'auto' ? autoRegion : profile.region;
+            const entry = getPollenflugForRegion(result, region ? [region] : getRegions())[0];
+            if (!entry) {
+                adapter.log.warn('No DWD data found for region ' + (profile.region || '-') + ' of profile ' + profile.name);
+            }
+            for (const m in days) {
+                const day = days[m];
+                const burden = getProfileBurden(entry, profile.weights, day);
+                promise.push(await adapter.setStateAsync(profile.id + '.burden_' + day, { val: burden.burden, ack: true }));
+                promise.push(await adapter.setStateAsync(profile.id + '.allergen_' + day, { val: burden.allergen, ack: true }));
+                promise.push(await adapter.setStateAsync(profile.id + '.text_' + day, { val: burden.text, ack: true }));
+                promise.push(await setAlarmState(profile.id + '.alarm_' + day, profile.name, entry, day, Object.keys(profile.weights), notifications));
+            }
+        }
+        await Promise.all(promise);
+    } catch (error) {
+        adapter.log.error('Error setting profile States ' + error);
+    }
+}
+
+// *****************************************************************************************************
+// Nationwide overview if all regions of DWD are selected: highest risk per pollen and day with the
+// regions, ranking of the regions by total burden and a map of the region ids to the highest risk
+// *****************************************************************************************************
+function isOverviewEnabled() {
+    return getDataProvider().name === 'dwd' && getRegions().includes('*');
+}
+
+async function createOverviewObjects(result) {
+    try {
+        if (!result || !isOverviewEnabled()) {
+            return;
+        }
+        const content = getPollenflugForRegion(result, ['*']);
+        const pollen = [];
+        for (const i in content) {
+            for (const j in content[i].Pollen) {
+                if (!pollen.includes(j)) pollen.push(j);
+            }
+        }
+        const days = getDays();
+        const promise = [];
+        await ensureObject('overview', {
+            type: 'device',
+            common: {
+                name: 'Overview of all regions'
+            }
+        });
+        for (const m in days) {
+            const day = days[m];
+            promise.push(await ensureObject('overview.ranking_' + day, {
+                type: 'state',
+                common: {
+                    name: 'Ranking of the regions ' + day,
+                    type: 'string',
+                    role: 'json',
+                    read: true,
+                    write: false
+                },
+                native: {}
+            }));
+            promise.push(await ensureObject('overview.map_' + day, {
+                type: 'state',
+                common: {
+                    name: 'Highest risk per region ' + day,
+                    type: 'string',
+                    role: 'json',
+                    read: true,
+                    write: false
+                },
+                native: {}
+            }));
+        }
+        for (const j of pollen) {
+            const channelid = 'overview.' + j;
+            await ensureObject(channelid, {
+                type: 'channel',
+                common: {
+                    name: i18n.getPollenTranslations(j)
+                }
+            });
+            for (const m in days) {
+                const day = days[m];
+                promise.push(await ensureObject(channelid + '.index_' + day, {
+                    type: 'state',
+                    common: {
+                        name: 'Highest risk ' + day,
+                        type: 'number',
+                        role: 'value',
+                        min: -1,
+                        max: 6,
+                        states: getRiskStates(),
+                        read: true,
+                        write: false
+                    },
+                    native: {}
+                }));
+                promise.push(await ensureObject(channelid + '.text_' + day, {
+                    type: 'state',
+                    common: {
+                        name: day,
+                        type: 'string',
+                        role: 'text',
+                        read: true,
+                        write: false
+                    },
+                    native: {}
+                }));
+                promise.push(await ensureObject(channelid + '.regions_' + day, {
+                    type: 'state',
+                    common: {
+                        name: 'Regions with the highest risk ' + day,
+                        type: 'string',
+                        role: 'text',
+                        read: true,
+                        write: false
+                    },
+                    native: {}
+                }));
+            }
+        }
+        await Promise.all(promise);
+    } catch (error) {
+        adapter.log.error('Error creating overview Objects ' + error);
+    }
+}
+
+async function setOverviewStates(result) {
+    try {
+        if (!isOverviewEnabled()) {
+            return;
+        }
+        const content = getPollenflugForRegion(result, ['*']);
+        const days = getDays();
+        const promise = [];
+        for (const m in days) {
+            const day = days[m];
+            const overview = getOverview(content.map((entry) => ({
+                id: String(entry.partregion_id != -1 ? entry.partregion_id : entry.region_id),
+                name: entry.partregion_id != -1 ? entry.region_name + ' - ' + entry.partregion_name : entry.region_name,
+                values: Object.keys(entry.Pollen).map((j) => ({ pollen: j, number: getRiskNumber(entry.Pollen[j][day]) }))
+            })));
+            promise.push(await adapter.setStateAsync('overview.ranking_' + day, { val: JSON.stringify(overview.ranking), ack: true }));
+            promise.push(await adapter.setStateAsync('overview.map_' + day, { val: JSON.stringify(overview.map), ack: true }));
+            for (const j in overview.pollen) {
+                const pollen = overview.pollen[j];
+                promise.push(await adapter.setStateAsync('overview.' + j + '.index_' + day, { val: pollen.max, ack: true }));
+                promise.push(await adapter.setStateAsync('overview.' + j + '.text_' + day, { val: getRiskIndexText(riskIndexes[pollen.max], j), ack: true }));
+                promise.push(await adapter.setStateAsync('overview.' + j + '.regions_' + day, { val: pollen.regions.join(', '), ack: true }));
+            }
+        }
+        await Promise.all(promise);
+    } catch (error) {
+        adapter.log.error('Error setting overview States ' + error);
+    }
+}
+
+// *****************************************************************************************************
+// Alarm threshold (risk number 0 - 6) of a pollen type. Thresholds per pollen type override the
+// global threshold.
+// *****************************************************************************************************
+function getAlarmThreshold(pollen) {
+    const thresholds = Array.isArray(adapter.config.alarmThresholds) ? adapter.config.alarmThresholds : [];
+    const threshold = thresholds.find((entry) => entry && entry.pollen === pollen && entry.threshold !== '' && entry.threshold !== undefined);
+    const value = parseInt(threshold ? threshold.threshold : adapter.config.alarmThreshold, 10);
+    return isNaN(value) ? 4 : value;
+}
+
+// *****************************************************************************************************
+// The alarm is raised if one of the pollen reaches its threshold (-1 disables the alarm). An active alarm is only cleared if
+// all pollen are below the threshold minus the hysteresis, so it does not flap between two levels.
+// *****************************************************************************************************
+function getAlarm(entry, day, pollenList, active) {
+    const hysteresis = Math.max(0, parseInt(adapter.config.alarmHysteresis, 10) || 0);
+    const pollen = [];
+    let alarm = false;
+    for (const i in pollenList) {
+        const j = pollenList[i];
+        const number = getRiskNumber(entry && entry.Pollen && entry.Pollen[j] ? entry.Pollen[j][day] : undefined);
+        if (number < 0) continue;
+        const threshold = getAlarmThreshold(j);
+        if (threshold < 0) continue; // alarm disabled
+        if (number >= threshold) {
+            pollen.push(j);
+            alarm = true;
+        } else if (active && number >= threshold - hysteresis) {
+            alarm = true;
+        }
+    }
+    return { alarm: alarm, pollen: pollen };
+}
+
+// Only a change from false to true of an existing state of today is notified: no notification for new
+// objects, and an alarm of tomorrow is not notified a second time when it becomes the alarm of today.
+async function setAlarmState(id, name, entry, day, pollenList, notifications) {
+    try {
+        const state = await adapter.getStateAsync(id);
+        const active = !!(state && state.val);
+        const alarm = getAlarm(entry, day, pollenList, active);
+        await adapter.setStateAsync(id, { val: alarm.alarm, ack: true });
+        if (alarm.alarm && state && state.val === false && day === 'today' && notifications) {
+            const text = alarm.pollen.map((j) => getRiskIndexText(entry.Pollen[j][day], j)).join(', ');
+            notifications.push(name + ': ' + text);
+        }
+    } catch (error) {
+        adapter.log.error('Error setting alarm State ' + id + ' / ' + error);
+    }
+}
+
+// One notification with all new alarms of an update
+async function sendAlarmNotification(notifications) {
+    try {
+        if (notifications.length === 0 || !adapter.config.alarmNotification) return;
+        const text = notifications.join('\n');
+        adapter.log.info('Pollen alarm: ' + notifications.join(' / '));
+        await adapter.registerNotification('pollenflug', 'alarm', text);
+    } catch (error) {
+        adapter.log.error('Error sending alarm notification ' + error);
+    }
+}
+
+// *****************************************************************************************************
+// Selected regions and partregions as list of ids. Old configurations store a single id as string.
+// No selection or '*' selects all regions, 'auto' is replaced by the partregion of the system location.
+// *****************************************************************************************************
+function getRegions() {
+    if (getDataProvider().name !== 'dwd') {
+        return ['*']; // other providers only return the configured locations
+    }
+    let regions = adapter.config.region;
+    if (!Array.isArray(regions)) {
+        regions = regions !== undefined && regions !== null ? String(regions).split(',') : [];
+    }
+    regions = regions.map((region) => String(region).trim()).filter((region) => region !== '');
+    if (regions.length === 0) {
+        return ['*'];
+    }
+    return regions.map((region) => region === 'auto' ? autoRegion : region).filter((region) => region);
+}
+
+function getPollenflugForRegion(data, regions) {
+    const dataregion = [];
+    if (data && data.content) {
+        const content = data.content;
+        const all = !regions || regions.includes('*');
+        for (const i in content) {
+            const entry = content[i];
+            if (all || regions.includes(String(entry.region_id)) || (entry.partregion_id != -1 && regions.includes(String(entry.partregion_id)))) {
+                dataregion.push(entry);
+            }
+        }
+    }
+    return dataregion;
+}
+
+// Options of all requests (timeout, retries, proxy and TLS) from the tab Connection
+function getRequestOptions() {
+    return {
+        timeout: (parseInt(adapter.config.requestTimeout, 10) || 30) * 1000,
+        retries: adapter.config.requestRetries !== undefined && adapter.config.requestRetries !== '' ? parseInt(adapter.config.requestRetries, 10) || 0 : 3,
+        proxy: adapter.config.proxy,
+        rejectUnauthorized: !adapter.config.allowSelfSigned,
+        userAgent: 'ioBroker.' + adapterName + '/' + adapter.version,
+        signal: abortController ? abortController.signal : undefined
+    };
+}
+
+// Minutes between two requests after an error (pollInterval of the configuration)
+function getRetryInterval() {
+    return (parseInt(adapter.config.pollInterval, 10) || 5) * 60 * 1000;
+}
+
+// Provider of the pollen data from the configuration (DWD, Open-Meteo)
+function getDataProvider() {
+    return getProvider(adapter.config.provider);
+}
+
+// *****************************************************************************************************
+// Requests the pollen data. A request during a running request (e.g. the button info.refresh during the
+// polling) gets the result of the running request.
+// *****************************************************************************************************
 async function pollenflugRequest() {
+    if (unloaded) {
+        return undefined;
+    }
+    if (!runningRequest) {
+        runningRequest = requestPollenData().finally(() => {
+            runningRequest = null;
+        });
+    }
+    return await runningRequest;
+}
+
+async function requestPollenData() {
     let result;
-    const url = adapter.config.url || 'https://opendata.dwd.de/climate_environment/health/alerts/s31fg.json';
+    let url;
+    const provider = getDataProvider();
+    const start = Date.now();
+    lastRequest = start;
     try {
-        adapter.log.info('Requesting DWD pollen information now.');
-        result = await request(url, { method: 'GET', json: true, rejectUnauthorized: false, timeout: 5000 });
+        adapter.log.info('Requesting ' + provider.title + ' pollen information now.');
+        const context = provider.getContext(adapter.config, systemLocation);
+        url = adapter.config.replay ? getReplayDir() : provider.getUrl(adapter.config, context);
+        if (!httpCache) {
+            const cache = await readCache();
+            httpCache = cache ? { etag: cache.etag, lastModified: cache.lastModified, payload: cache.payload } : {};
+        }
+        const data = lastResult || httpCache.payload;
+        const response = adapter.config.replay ? await readReplayPayload() : await fetchJson(url, Object.assign(getRequestOptions(), {
+            etag: data ? httpCache.etag : undefined,
+            lastModified: data ? httpCache.lastModified : undefined,
+            log: (message) => adapter.log.warn('Requesting URL ' + url + ': ' + message)
+        }));
+        lastFetch = { time: Date.now(), duration: response.duration, attempts: response.attempts, status: response.status, valid: false };
+        if (response.status === 304) {
+            adapter.log.info(provider.title + ' pollen information not modified since last request.');
+            result = data;
+        } else {
+            const validation = provider.validate(response.data);
+            for (const warning of validation.warnings.slice(0, 10)) {
+                adapter.log.warn(provider.title + ' pollen information: ' + warning);
+            }
+            if (validation.errors.length > 0) {
+                adapter.log.error('Invalid ' + provider.title + ' pollen information: ' + validation.errors.join('; '));
+                lastError = 'Invalid ' + provider.title + ' pollen information: ' + validation.errors.slice(0, 3).join('; ') + (validation.errors.length > 3 ? ' ...' : '');
+                return undefined;
+            }
+            result = provider.normalize(response.data, context);
+            if (adapter.config.replay) {
+                // the next file is played back after the replay interval
+                result.next_update = time.formatDwdDate(new Date(Date.now() + getReplayInterval()));
+            } else if (adapter.config.record) {
+                await recordPayload(provider, response.data);
+            }
+        }
+        if (result) {
+            lastError = '';
+            lastSuccess = Date.now();
+            lastFetch.valid = true; // the connection is only ok with valid data
+        }
+        if (result && response.status !== 304 && !adapter.config.replay) {
+            httpCache = { etag: response.etag, lastModified: response.lastModified, payload: result };
+            await storage.writeJson(adapter, 'cache.json', {
+                fetched: Date.now(),
+                last_update: result.last_update,
+                next_update: result.next_update,
+                etag: response.etag,
+                lastModified: response.lastModified,
+                payload: result
+            });
+        }
     } catch (error) {
-        adapter.log.error('Error requesting URL ' + url + ' (' + error + ')');
+        if (unloaded) {
+            return undefined; // request cancelled on unload
+        }
+        lastFetch = { time: Date.now(), duration: Date.now() - start, attempts: error.attempts || 0, status: error.response ? error.response.status : 0, valid: false };
+        lastError = 'Error requesting ' + (url ? 'URL ' + url : provider.title) + ' (' + error + ')';
+        adapter.log.error(lastError);
     }
     return result;
 }
 
-async function polling(result) {
+// *****************************************************************************************************
+// Replay mode: the recorded payloads of the replay directory are played back in the order of their file
+// names, one file per request. Paths are relative to the data directory of the instance.
+// *****************************************************************************************************
+function getReplayDir() {
+    return path.resolve(utils.getAbsoluteInstanceDataDir(adapter), String(adapter.config.replayDir || '').trim() || 'replay');
+}
+
+function getReplayInterval() {
+    return Math.max(parseInt(adapter.config.replayInterval, 10) || 5, 1) * 60 * 1000;
+}
+
+async function readReplayPayload() {
+    const start = Date.now();
+    const payload = await replay.readPayload(getReplayDir(), replayPosition);
+    replayPosition = payload.position + 1;
+    adapter.log.info('Replaying ' + payload.file + ' (' + (payload.position + 1) + ' of ' + payload.count + ')');
+    return { data: payload.data, status: 200, attempts: 1, duration: Date.now() - start };
+}
+
+async function recordPayload(provider, data) {
+    try {
+        const file = await replay.recordPayload(getReplayDir(), provider.name, data);
+        adapter.log.debug('Recorded ' + provider.title + ' pollen information as ' + file);
+    } catch (error) {
+        adapter.log.warn('Error recording pollen information / ' + error);
+    }
+}
+
+// *****************************************************************************************************
+// Data is stale if the announced next update of DWD has passed without new data
+// *****************************************************************************************************
+function isDataStale() {
+    if (!lastResult) return true;
+    const next_update = getDate(lastResult.next_update);
+    return !next_update || isNaN(next_update.getTime()) || Date.now() > next_update.getTime();
+}
+
+async function setFetchStates() {
+    try {
+        if (lastFetch) {
+            await adapter.setStateAsync('info.fetch_time', { val: lastFetch.time, ack: true });
+            await adapter.setStateAsync('info.fetch_duration', { val: lastFetch.duration, ack: true });
+            await adapter.setStateAsync('info.fetch_attempts', { val: lastFetch.attempts, ack: true });
+            await adapter.setStateAsync('info.fetch_status', { val: lastFetch.status, ack: true });
+            await adapter.setStateAsync('info.connection', { val: lastFetch.valid, ack: true });
+        }
+        await adapter.setStateAsync('info.lastError', { val: lastError, ack: true });
+        if (lastSuccess) {
+            await adapter.setStateAsync('info.lastSuccessfulUpdate', { val: lastSuccess, ack: true });
+        }
+        await adapter.setStateAsync('info.dataStale', { val: isDataStale(), ack: true });
+    } catch (error) {
+        adapter.log.error('Error setting fetch States ' + error);
+    }
+}
+
+// *****************************************************************************************************
+// Reads the last valid DWD data from cache.json
+// *****************************************************************************************************
+async function readCache() {
+    const cache = await storage.readJson(adapter, 'cache.json');
+    // data of another provider is not usable, older versions only cached DWD data
+    return cache && cache.payload && (cache.payload.provider || 'dwd') === getDataProvider().name ? cache : undefined;
+}
+
+async function setCachedState(cached) {
+    try {
+        await adapter.setStateAsync('info.cached', { val: cached, ack: true });
+    } catch (error) {
+        adapter.log.error('Error setting cached State ' + error);
+    }
+}
+
+// *****************************************************************************************************
+// Sets the timer of the next request, no timer is set after unload
+// *****************************************************************************************************
+function setPollingTimer(polltime, callback) {
+    if (pollingTimer) clearTimeout(pollingTimer);
+    pollingTimer = null;
+    if (unloaded) return;
+    nextPolling = new Date(Date.now() + polltime);
+    pollingTimer = setTimeout(async () => {
+        pollingTimer = null;
+        await callback();
+    }, polltime);
+}
+
+// *****************************************************************************************************
+// Cron schedule of the requests (schedule mode 'cron'). Requests less than minCronInterval after the
+// last request are skipped. Returns false if the cron expression is invalid.
+// *****************************************************************************************************
+function startCronSchedule() {
+    const cron = String(adapter.config.scheduleCron || '').trim();
+    try {
+        cronJob = schedule.scheduleJob(cron, async () => {
+            if (lastRequest && Date.now() - lastRequest < minCronInterval) {
+                adapter.log.debug('Scheduled request skipped, the last request was less than ' + (minCronInterval / (60 * 1000)) + ' minutes ago.');
+                return;
+            }
+            await refresh();
+        }) || undefined;
+    } catch (error) {
+        cronJob = undefined;
+    }
+    if (!cronJob) {
+        adapter.log.error('Invalid cron expression "' + cron + '", the requests follow the announced next update.');
+        return false;
+    }
+    adapter.log.info('Requests scheduled by the cron expression "' + cron + '".');
+    return true;
+}
+
+function getNextCronRequest() {
+    const next = cronJob ? cronJob.nextInvocation() : null;
+    return next ? new Date(next.getTime()) : undefined;
+}
+
+// Time of the next request, the retry timer after errors runs before the cron schedule
+function getNextRequest() {
+    return cronJob && !pollingTimer ? getNextCronRequest() : nextPolling;
+}
+
+async function polling(result, cached) {
     if (!result) {
         result = await pollenflugRequest();
+        if (unloaded) return;
+        if (!result) {
+            await setCachedState(true); // the states still contain the data of the last successful request
+        }
     }
-    let polltime = 10 * 60 * 1000; //10 minutes
+    let polltime = getRetryInterval();
     if (result) {
+        lastResult = result;
         await setStates(result);
+        await setCachedState(!!cached);
+    }
+    await setFetchStates();
+    if (result && !cached && cronJob) {
+        // the cron job starts the next request, only retries after errors use the timer
+        if (pollingTimer) clearTimeout(pollingTimer);
+        pollingTimer = null;
+        nextPolling = getNextCronRequest();
+        if (nextPolling) adapter.log.info('Next pollen request starts on ' + time.formatDate(nextPolling, getLanguage(), true));
+        return;
+    }
+    if (result && !cached) {
         const now = new Date();
         const next_update = getDate(result.next_update);
-        polltime = (next_update.getTime() - now.getTime()) + (1 * 60 * 1000); // + Offset of 1 Minute
-        if (polltime < 0 || polltime >= 2147483647) {
-            polltime = 5 * 60 * 1000; // 10 minutes
+        polltime = next_update ? (next_update.getTime() - now.getTime()) + (1 * 60 * 1000) : NaN; // + Offset of 1 Minute
+        if (isNaN(polltime) || polltime < 0 || polltime >= 2147483647) {
+            polltime = getRetryInterval();
             adapter.log.info('Next DWD pollen request starts in ' + (polltime / (60 * 1000)) + ' minutes.');
         } else {
-            adapter.log.info('Next DWD pollen request starts on ' + next_update.toString());
+            adapter.log.info('Next DWD pollen request starts on ' + time.formatDate(next_update, getLanguage(), true));
         }
     }
-    setTimeout(async () => {
-        await polling();
-    }, polltime);
+    setPollingTimer(polltime, polling);
+}
+
+// *****************************************************************************************************
+// Requests the DWD data outside of the polling schedule. The polling will be rescheduled.
+// *****************************************************************************************************
+async function refresh() {
+    const result = await pollenflugRequest();
+    if (unloaded) {
+        return undefined;
+    }
+    if (result) {
+        if (!lastResult) {
+            await updateObjects(result);
+        }
+        await polling(result);
+    } else if (lastResult) {
+        await setCachedState(true);
+        await setFetchStates();
+    }
+    return result;
+}
+
+// *****************************************************************************************************
+// Deletes old objects and creates the objects for the selected regions
+// *****************************************************************************************************
+async function updateObjects(result) {
+    lastResult = result;
+    await deleteObjects(result); // delete old objects
+    await createInfoObjects();
+    await createObjects(result); // create object. once at start of adapter
+    await createImageObjects(result);
+    await createProfileObjects();
+    await createOverviewObjects(result);
+    await setAutoRegionStates();
 }
 
 // *****************************************************************************************************
@@ -650,17 +2156,24 @@ async function polling(result) {
 // *****************************************************************************************************
 async function main() {
     const result = await pollenflugRequest();
+    if (unloaded) {
+        return;
+    }
     if (result) {
-        await deleteObjects(result); // delete old objects
-        await createInfoObjects();
-        await createObjects(result); // create object. once at start of adapter
-        await createImageObjects(result);
+        await updateObjects(result);
         await polling(result); // periodical polling of states (once the day)
     } else {
         adapter.log.error('Error reading pollen risk index.');
-        setTimeout(async () => {
-            await main();
-        }, 1 * 60 * 1000); // try to get data in 1 Minute
+        const cache = !lastResult ? await readCache() : undefined;
+        if (cache) {
+            adapter.log.warn('Using cached DWD pollen information from ' + time.formatDate(new Date(cache.fetched), getLanguage(), true) + ' (last update ' + cache.last_update + ', next update ' + cache.next_update + ')');
+            lastSuccess = cache.fetched;
+            await updateObjects(cache.payload);
+            await polling(cache.payload, true);
+            return;
+        }
+        await setFetchStates();
+        setPollingTimer(getRetryInterval(), main); // try to get data again after the retry interval
     }
 }
 
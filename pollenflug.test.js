@@ -0,0 +1,384 @@
+'use strict';
+
+// Tests of the adapter with a recorded DWD payload (test/replay) and an in-memory adapter (test/lib/adapter.js)
+
+const path = require('path');
+const { expect } = require('chai');
+const proxyquire = require('proxyquire').noCallThru().noPreserveCache();
+const TestAdapter = require('./test/lib/adapter');
+const ioPackage = require('./io-package.json');
+
+const replayDir = path.join(__dirname, 'test', 'replay');
+
+/**
+ * Loads a fresh module of the adapter
+ * @param {(options: {name: string}) => TestAdapter} create Creates the adapter of an instance
+ * @returns {(options?: object) => TestAdapter} startAdapter of the module
+ */
+function loadAdapter(create) {
+    return proxyquire('./pollenflug', {
+        '@iobroker/adapter-core': {
+            Adapter: function (options) {
+                return create(options);
+            },
+            getAbsoluteInstanceDataDir: () => replayDir
+        }
+    });
+}
+
+// Configuration merged into the defaults of io-package.json, the data is replayed from test/replay
+function getConfig(config) {
+    return Object.assign({}, ioPackage.native, { replay: true, replayDir: replayDir }, config);
+}
+
+/**
+ * Starts the adapter with a fresh module and replays the recorded payload
+ * @param {Record<string, any>} [config] Configuration, merged into the defaults of io-package.json
+ * @param {Record<string, any>} [objects] Existing objects by full id
+ * @returns {Promise<TestAdapter>}
+ */
+async function startAdapter(config, objects) {
+    const adapter = loadAdapter((options) => new TestAdapter(options, getConfig(config), objects))();
+    await adapter.emitAsync('ready');
+    return adapter;
+}
+
+/**
+ * Starts the adapter, replays the recorded payload and stops the adapter again
+ * @param {Record<string, any>} [config] Configuration, merged into the defaults of io-package.json
+ * @param {Record<string, any>} [objects] Existing objects by full id
+ * @returns {Promise<TestAdapter>}
+ */
+async function runAdapter(config, objects) {
+    const adapter = await startAdapter(config, objects);
+    await adapter.emitAsync('unload', () => {});
+    return adapter;
+}
+
+// Object of a former start, the type follows from the depth of the id
+function addObject(objects, id, common) {
+    const types = ['device', 'channel', 'state'];
+    const parts = id.split('.');
+    for (let i = 3; i <= parts.length; i++) {
+        const partid = parts.slice(0, i).join('.');
+        if (!objects[partid]) {
+            objects[partid] = { _id: partid, type: i === parts.length ? 'state' : types[Math.min(i - 3, 1)], common: { name: parts[i - 1] }, native: {} };
+        }
+    }
+    Object.assign(objects[id].common, common);
+    return objects;
+}
+
+function getIds(adapter, prefix) {
+    return Object.keys(adapter.objects).filter((id) => id.startsWith(adapter.namespace + '.' + prefix)).map((id) => id.replace(adapter.namespace + '.', '')).sort();
+}
+
+function getValue(adapter, id) {
+    const state = adapter.states[adapter.namespace + '.' + id];
+    return state ? state.val : undefined;
+}
+
+describe('pollenflug with a recorded payload', () => {
+    it('creates a device for every region of the payload', async () => {
+        const adapter = await runAdapter();
+        expect(adapter.logs.error).to.be.empty;
+        expect(getIds(adapter, '').filter((id) => !id.includes('.'))).to.deep.equal(['images', 'info', 'overview', 'region#11', 'region#12', 'region#20', 'region#50']);
+        expect(adapter.objects['pollenflug.0.region#50'].type).to.equal('device');
+        expect(getIds(adapter, 'region#50.Birke')).to.deep.equal(['region#50.Birke', 'region#50.Birke.index_today', 'region#50.Birke.index_tomorrow', 'region#50.Birke.text_today', 'region#50.Birke.text_tomorrow']);
+        expect(getIds(adapter, 'region#50.riskindex_today.')).to.have.lengthOf(7);
+    });
+
+    it('sets the risk indexes of the payload', async () => {
+        const adapter = await runAdapter();
+        expect(getValue(adapter, 'region#50.Birke.index_today')).to.equal(6);
+        expect(getValue(adapter, 'region#50.Birke.index_tomorrow')).to.equal(5);
+        expect(getValue(adapter, 'region#11.Esche.index_today')).to.equal(2);
+        expect(getValue(adapter, 'region#50.riskindex_today.riskindex_6')).to.equal('Birch');
+        expect(getValue(adapter, 'info.last_update')).to.equal(new Date('2026-04-16T09:00:00Z').getTime());
+        expect(getValue(adapter, 'info.connection')).to.be.true;
+    });
+
+    it('keeps the DWD names of the pollen in the JSON states', async () => {
+        const adapter = await runAdapter({ language: 'de' });
+        expect(JSON.parse(getValue(adapter, 'region#50.summary.json_index_tomorrow'))).to.deep.include({ Pollen: 'Graeser', Name: 'Gräser', Riskindex: 2, Riskindextext: 'geringe Belastung' });
+        expect(JSON.parse(getValue(adapter, 'region#50.summary.json_riskindex_tomorrow'))[2]).to.deep.equal({ Riskindex: 2, Riskindextext: 'geringe Belastung', Pollen: 'Graeser', Name: 'Gräser' });
+        expect(getValue(adapter, 'region#50.riskindex_tomorrow.riskindex_2')).to.equal('Gräser');
+        expect(getValue(adapter, 'region#50.riskindex_tomorrow.riskindex_0')).to.equal('Hasel, Erle, Roggen, Beifuß, Ambrosia');
+    });
+
+    it('updates the type and role of objects of older versions and keeps custom settings', async () => {
+        const custom = { 'history.0': { enabled: true } };
+        const objects = {};
+        addObject(objects, 'pollenflug.0.info.today', { type: 'string', role: 'state', custom: custom });
+        addObject(objects, 'pollenflug.0.region#50.Birke.index_today', { type: 'string', role: 'state', custom: custom });
+        delete objects['pollenflug.0.region#50'].common;
+        const adapter = await runAdapter({}, objects);
+        expect(adapter.logs.error).to.be.empty;
+        expect(adapter.objects['pollenflug.0.info.today'].common).to.deep.include({ type: 'number', role: 'date', custom: custom });
+        expect(adapter.objects['pollenflug.0.region#50.Birke.index_today'].common).to.deep.include({ type: 'number', role: 'value', min: -1, max: 6, custom: custom });
+        expect(adapter.objects['pollenflug.0.region#50'].common.name).to.be.a('string');
+        expect(getValue(adapter, 'info.today')).to.equal(new Date('2026-04-15T22:00:00Z').getTime());
+        expect(getValue(adapter, 'region#50.Birke.index_today')).to.equal(6);
+    });
+
+    it('creates only the selected regions', async () => {
+        const adapter = await runAdapter({ region: ['12'] });
+        expect(getIds(adapter, 'region#')).to.satisfy((ids) => ids.every((id) => id.startsWith('region#12')));
+        expect(getIds(adapter, 'overview')).to.be.empty;
+    });
+
+    it('creates the states of the day after tomorrow only with 3 days', async () => {
+        const adapter = await runAdapter({ forecastDays: 3 });
+        expect(getValue(adapter, 'region#50.Birke.index_dayafter_to')).to.equal(-1);
+        expect(getIds(adapter, 'region#50.riskindex_dayafter_to.')).to.have.lengthOf(7);
+    });
+
+    it('deletes regions and states which are no longer used', async () => {
+        const objects = {};
+        addObject(objects, 'pollenflug.0.region#99.Birke.index_today');
+        addObject(objects, 'pollenflug.0.region#50.Birke.index_dayafter_to');
+        addObject(objects, 'pollenflug.0.region#50.riskindex_dayafter_to.riskindex_0');
+        addObject(objects, 'pollenflug.0.region#50.summary.json_text_today');
+        const adapter = await runAdapter({}, objects);
+        expect(getIds(adapter, 'region#99')).to.be.empty;
+        expect(getIds(adapter, 'region#50').filter((id) => id.includes('dayafter_to') || id.includes('json_text_'))).to.be.empty;
+        expect(getValue(adapter, 'region#50.Birke.index_today')).to.equal(6);
+        const report = JSON.parse(getValue(adapter, 'info.cleanup'));
+        expect(report.mode).to.equal('delete');
+        expect(report.orphaned).to.deep.equal(['region#99']);
+        expect(report.outdated).to.include.members(['region#50.Birke.index_dayafter_to', 'region#50.riskindex_dayafter_to', 'region#50.summary.json_text_today']);
+        expect(report.deleted).to.equal(7);
+    });
+
+    it('deletes the devices of regions which are no longer selected', async () => {
+        const adapter = await runAdapter({ region: ['50'] }, (await runAdapter()).objects);
+        expect(getIds(adapter, 'region#').filter((id) => !id.startsWith('region#50'))).to.be.empty;
+        expect(getIds(adapter, 'overview')).to.be.empty;
+        expect(getIds(adapter, 'region#50')).to.not.be.empty;
+    });
+
+    it('keeps the devices if the location of the system is no region', async () => {
+        const adapter = await runAdapter({ region: ['auto'] }, (await runAdapter()).objects);
+        expect(getIds(adapter, 'region#').filter((id) => !id.includes('.'))).to.deep.equal(['region#11', 'region#12', 'region#20', 'region#50']);
+        expect(adapter.logs.warn).to.include('No DWD partregion for the location of the system, the cleanup of old objects is skipped');
+    });
+
+    it('keeps the devices if the location of the system becomes invalid', async () => {
+        const objects = (await runAdapter()).objects;
+        objects['system.config'] = { _id: 'system.config', type: 'config', common: { language: 'en', latitude: 52.52, longitude: 13.405 }, native: {} };
+        const adapter = await startAdapter({ region: ['auto'] }, objects);
+        expect(getIds(adapter, 'region#').filter((id) => !id.includes('.'))).to.deep.equal(['region#50']);
+        await adapter.emitAsync('objectChange', 'system.config', { common: { language: 'en', latitude: 47.3769, longitude: 8.5417 } });
+        await adapter.emitAsync('unload', () => {});
+        expect(getIds(adapter, 'region#').filter((id) => !id.includes('.'))).to.deep.equal(['region#50']);
+        expect(getValue(adapter, 'info.region')).to.equal(0);
+    });
+});
+
+describe('cleanup of unused objects', () => {
+    // Device of a region which is no longer in the payload, with custom settings and an alias
+    function getObjects() {
+        const objects = {};
+        addObject(objects, 'pollenflug.0.region#99.Birke.index_today', { custom: { 'history.0': { enabled: true } } });
+        addObject(objects, 'pollenflug.0.region#99.Birke.index_tomorrow');
+        addObject(objects, 'pollenflug.0.region#99.Birke.text_today');
+        addObject(objects, 'pollenflug.0.region#99.Erle.index_today', { custom: { 'history.0': null } });
+        objects['alias.0.birch'] = { _id: 'alias.0.birch', type: 'state', common: { name: 'Birch', alias: { id: 'pollenflug.0.region#99.Birke.text_today' } }, native: {} };
+        objects['alias.0.birch_tomorrow'] = { _id: 'alias.0.birch_tomorrow', type: 'state', common: { name: 'Birch', alias: { id: { read: 'pollenflug.0.region#99.Birke.index_tomorrow', write: 'other.0.birch' } } }, native: {} };
+        return objects;
+    }
+
+    function getReport(adapter) {
+        return JSON.parse(getValue(adapter, 'info.cleanup'));
+    }
+
+    it('keeps all objects with the mode off', async () => {
+        const adapter = await runAdapter({ cleanupMode: 'off' }, getObjects());
+        expect(getIds(adapter, 'region#99')).to.have.lengthOf(7);
+        expect(getReport(adapter)).to.include({ mode: 'off', deleted: 0, archived: 0 });
+        expect(getReport(adapter).orphaned).to.deep.equal(['region#99']);
+    });
+
+    it('only logs the objects with the mode dryrun', async () => {
+        const adapter = await runAdapter({ cleanupMode: 'dryrun' }, getObjects());
+        expect(getIds(adapter, 'region#99')).to.have.lengthOf(7);
+        expect(getReport(adapter)).to.include({ mode: 'dryrun', deleted: 0, archived: 0 });
+        expect(adapter.logs.info).to.include('Cleanup (dry-run): 2 objects would be deleted: region#99.Erle');
+    });
+
+    it('marks the objects as orphaned with the mode archive', async () => {
+        const adapter = await runAdapter({ cleanupMode: 'archive' }, getObjects());
+        expect(getIds(adapter, 'region#99')).to.have.lengthOf(7);
+        expect(adapter.objects['pollenflug.0.region#99'].native.orphaned).to.equal(getReport(adapter).time);
+        expect(getReport(adapter)).to.include({ mode: 'archive', deleted: 0, archived: 1 });
+        const again = await runAdapter({ cleanupMode: 'archive' }, adapter.objects);
+        expect(getReport(again).archived).to.equal(0);
+    });
+
+    it('deletes the objects with the mode delete and keeps custom settings, aliases and their parents', async () => {
+        const adapter = await runAdapter({ cleanupMode: 'delete' }, getObjects());
+        expect(getIds(adapter, 'region#99')).to.deep.equal(['region#99', 'region#99.Birke', 'region#99.Birke.index_today', 'region#99.Birke.index_tomorrow', 'region#99.Birke.text_today']);
+        expect(getReport(adapter)).to.include({ mode: 'delete', deleted: 2 });
+        expect(getReport(adapter).kept).to.have.members(['region#99.Birke.index_today', 'region#99.Birke.index_tomorrow', 'region#99.Birke.text_today']);
+        expect(adapter.logs.warn).to.include('Cleanup: 3 objects with custom settings or aliases are kept: region#99.Birke.index_today, region#99.Birke.index_tomorrow, region#99.Birke.text_today');
+        expect(adapter.objects['alias.0.birch']).to.exist;
+    });
+
+    it('uses the mode delete without a valid mode', async () => {
+        const adapter = await runAdapter({ cleanupMode: 'unknown' }, getObjects());
+        expect(getReport(adapter)).to.include({ mode: 'delete', deleted: 2 });
+    });
+
+    it('deletes objects with custom settings and aliases if confirmed', async () => {
+        const adapter = await runAdapter({ cleanupMode: 'delete', cleanupCustom: true }, getObjects());
+        expect(getIds(adapter, 'region#99')).to.be.empty;
+        expect(getReport(adapter)).to.include({ deleted: 7 });
+        expect(getReport(adapter).kept).to.be.empty;
+        expect(adapter.logs.warn).to.be.empty;
+    });
+});
+
+describe('summary of a region', () => {
+    it('returns the highest risk and the pollen with it', async () => {
+        const adapter = await runAdapter();
+        expect(getValue(adapter, 'region#50.summary.max_today')).to.equal(6);
+        expect(getValue(adapter, 'region#50.summary.allergens_today')).to.equal('Birch');
+        expect(getValue(adapter, 'region#20.summary.max_tomorrow')).to.equal(4);
+        expect(getValue(adapter, 'region#20.summary.allergens_tomorrow')).to.equal('Birch, Grasses');
+    });
+
+    it('counts the pollen with a medium or higher risk', async () => {
+        const adapter = await runAdapter();
+        expect(getValue(adapter, 'region#50.summary.count_medium_today')).to.equal(1);
+        expect(getValue(adapter, 'region#20.summary.count_medium_tomorrow')).to.equal(2);
+    });
+
+    it('returns the change of the highest risk to the day before', async () => {
+        const adapter = await runAdapter();
+        expect(getValue(adapter, 'region#50.summary.delta_tomorrow')).to.equal(-1);
+        expect(getValue(adapter, 'region#12.summary.delta_tomorrow')).to.equal(1);
+    });
+
+    it('returns no values for a day without data', async () => {
+        const adapter = await runAdapter({ forecastDays: 3 });
+        expect(getValue(adapter, 'region#50.summary.max_dayafter_to')).to.equal(-1);
+        expect(getValue(adapter, 'region#50.summary.allergens_dayafter_to')).to.equal('');
+        expect(getValue(adapter, 'region#50.summary.count_medium_dayafter_to')).to.equal(0);
+        expect(getValue(adapter, 'region#50.summary.delta_dayafter_to')).to.be.null;
+    });
+});
+
+describe('alarms', () => {
+    // Replays the update of the next day (second file of test/replay) with the button info.refresh
+    async function runNextUpdate(config) {
+        const adapter = await startAdapter(Object.assign({ alarmNotification: true }, config));
+        const alarms = getAlarms(adapter);
+        await adapter.emitAsync('stateChange', adapter.namespace + '.info.refresh', { val: true, ack: false });
+        await adapter.emitAsync('unload', () => {});
+        return { first: alarms, adapter: adapter };
+    }
+
+    function getAlarms(adapter) {
+        const alarms = {};
+        for (const id of getIds(adapter, 'region#').filter((id) => id.includes('.alarm_'))) {
+            alarms[id] = getValue(adapter, id);
+        }
+        return alarms;
+    }
+
+    it('raises the alarm at the threshold', async () => {
+        const adapter = await runAdapter({ alarmThreshold: 6 });
+        expect(getValue(adapter, 'region#50.alarm_today')).to.be.true;
+        expect(getValue(adapter, 'region#20.alarm_today')).to.be.false;
+        expect(getValue(adapter, 'region#12.alarm_tomorrow')).to.be.true;
+    });
+
+    it('keeps the alarm within the hysteresis', async () => {
+        const run = await runNextUpdate({ alarmThreshold: 4, alarmHysteresis: 1 });
+        expect(run.first['region#11.alarm_today']).to.be.true;
+        expect(getValue(run.adapter, 'info.last_update')).to.equal(new Date('2026-04-17T09:00:00Z').getTime());
+        expect(getValue(run.adapter, 'region#11.alarm_today')).to.be.true; // 3 within 4 - 1
+        expect(getValue(run.adapter, 'region#20.alarm_today')).to.be.false; // 2 below 4 - 1
+    });
+
+    it('uses the threshold of the pollen instead of the global threshold', async () => {
+        const adapter = await runAdapter({ alarmThreshold: 4, alarmThresholds: [{ pollen: 'Birke', threshold: 6 }, { pollen: 'Esche', threshold: '' }] });
+        expect(getValue(adapter, 'region#50.alarm_today')).to.be.true;
+        expect(getValue(adapter, 'region#11.alarm_today')).to.be.false;
+        expect(getValue(adapter, 'region#12.alarm_today')).to.be.false;
+    });
+
+    it('notifies only the new alarms of today', async () => {
+        const run = await runNextUpdate({ alarmThreshold: 4, alarmThresholds: [{ pollen: 'Birke', threshold: 6 }] });
+        expect(run.first).to.include({ 'region#12.alarm_today': false, 'region#50.alarm_today': true, 'region#11.alarm_tomorrow': false });
+        expect(getValue(run.adapter, 'region#12.alarm_today')).to.be.true; // new alarm
+        expect(getValue(run.adapter, 'region#50.alarm_today')).to.be.true; // 5 within 6 - 1, still active
+        expect(getValue(run.adapter, 'region#11.alarm_tomorrow')).to.be.true; // new alarm of tomorrow
+        expect(run.adapter.notifications).to.deep.equal([{
+            scope: 'pollenflug',
+            category: 'alarm',
+            message: 'Schleswig-Holstein und Hamburg - Geest,Schleswig-Holstein und Hamburg: high pollen concentration for Birch'
+        }]);
+    });
+
+    it('does not notify the alarms of a fresh start', async () => {
+        const adapter = await runAdapter({ alarmNotification: true });
+        expect(getValue(adapter, 'region#50.alarm_today')).to.be.true;
+        expect(adapter.notifications).to.be.empty;
+    });
+
+    it('does not notify without the option', async () => {
+        const run = await runNextUpdate({ alarmNotification: false, alarmThresholds: [{ pollen: 'Birke', threshold: 6 }] });
+        expect(getValue(run.adapter, 'region#12.alarm_today')).to.be.true;
+        expect(run.adapter.notifications).to.be.empty;
+    });
+
+    it('disables the alarm with the threshold -1', async () => {
+        const disabled = await runAdapter({ alarmThreshold: -1 });
+        expect(Object.values(getAlarms(disabled))).to.not.include(true);
+        const birch = await runAdapter({ alarmThreshold: 4, alarmThresholds: [{ pollen: 'Birke', threshold: -1 }] });
+        expect(getValue(birch, 'region#50.alarm_today')).to.be.false; // only Birke reaches 4
+        expect(getValue(birch, 'region#50.alarm_tomorrow')).to.be.false;
+    });
+});
+
+describe('sendTo getStatus', () => {
+    async function getStatus(adapter) {
+        await adapter.emitAsync('message', { command: 'getStatus', message: {}, from: 'system.adapter.admin.0', callback: { id: 1 } });
+        return adapter.messages.pop().message;
+    }
+
+    it('reports the connection with valid data', async () => {
+        const adapter = await runAdapter();
+        expect(await getStatus(adapter)).to.include({ connected: true, last_update: '2026-04-16 11:00 Uhr', lastError: '' });
+    });
+
+    it('reports no connection while the last data is used after a failed request', async () => {
+        const adapter = await startAdapter();
+        adapter.config.replayDir = path.join(__dirname, 'test', 'missing');
+        await adapter.emitAsync('stateChange', adapter.namespace + '.info.refresh', { val: true, ack: false });
+        await adapter.emitAsync('unload', () => {});
+        const status = await getStatus(adapter);
+        expect(status).to.include({ connected: false, last_update: '2026-04-16 11:00 Uhr' });
+        expect(status.lastError).to.not.be.empty;
+        expect(getValue(adapter, 'info.connection')).to.be.false;
+        expect(getValue(adapter, 'info.cached')).to.be.true;
+    });
+});
+
+describe('restart in compact mode', () => {
+    it('fetches the data again if the instance is started again in the same process', async () => {
+        let objects = {};
+        const startAdapter = loadAdapter((options) => new TestAdapter(options, getConfig(), objects));
+        const first = startAdapter();
+        await first.emitAsync('ready');
+        await first.emitAsync('unload', () => {});
+        objects = first.objects;
+        const second = startAdapter();
+        await second.emitAsync('ready');
+        await second.emitAsync('unload', () => {});
+        expect(getValue(second, 'info.fetch_status')).to.equal(200);
+        expect(getValue(second, 'info.connection')).to.be.true;
+        expect(getValue(second, 'region#50.Birke.index_today')).to.equal(6);
+    });
+});
@@ -0,0 +1,163 @@
+'use strict';
+
+// In-memory adapter for the tests of pollenflug.js. It implements the part of the adapter API which is used by the
+// adapter: objects, states and files of the instance, foreign objects (e.g. system.config, aliases), sendTo and
+// notifications. Log messages are collected by level instead of being printed.
+
+const EventEmitter = require('events');
+
+function copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// 'pollenflug.0.region#*' -> RegExp
+function getPattern(pattern) {
+    return new RegExp('^' + pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$');
+}
+
+class TestAdapter extends EventEmitter {
+    /**
+     * @param {{name: string}} options Options of the adapter
+     * @param {Record<string, any>} config Configuration of the instance (native)
+     * @param {Record<string, any>} [objects] Existing objects by full id, e.g. objects of a former start or aliases
+     */
+    constructor(options, config, objects) {
+        super();
+        this.name = options.name;
+        this.namespace = options.name + '.0';
+        this.version = '0.0.0';
+        this.config = config;
+        this.objects = copy(objects || {});
+        this.states = {};
+        this.files = {};
+        this.messages = [];
+        this.notifications = [];
+        this.logs = { silly: [], debug: [], info: [], warn: [], error: [] };
+        this.log = {};
+        for (const level in this.logs) {
+            this.log[level] = (message) => this.logs[level].push(String(message));
+        }
+        this.FORBIDDEN_CHARS = /[^._\-/ :!#$%&()+=@^{}|~\p{Ll}\p{Lu}\p{Nd}]+/gu;
+    }
+
+    getId(id) {
+        return id === this.namespace || id.startsWith(this.namespace + '.') ? id : this.namespace + '.' + id;
+    }
+
+    getChildren(id, type) {
+        return Object.keys(this.objects).filter((key) => key.startsWith(id + '.') && this.objects[key].type === type).map((key) => this.objects[key]);
+    }
+
+    // Objects
+    async setObjectAsync(id, obj) {
+        id = this.getId(id);
+        this.objects[id] = Object.assign(copy(obj), { _id: id });
+        return { id: id };
+    }
+
+    async extendObjectAsync(id, obj) {
+        id = this.getId(id);
+        const current = this.objects[id] || { common: {}, native: {} };
+        for (const key in obj) {
+            current[key] = obj[key] && typeof obj[key] === 'object' && !Array.isArray(obj[key]) ? Object.assign(current[key] || {}, obj[key]) : obj[key];
+        }
+        return this.setObjectAsync(id, current);
+    }
+
+    async getObjectAsync(id) {
+        return copy(this.objects[this.getId(id)]) || null;
+    }
+
+    async getForeignObjectAsync(id) {
+        return copy(this.objects[id]) || null;
+    }
+
+    async getForeignObjectsAsync(pattern, type) {
+        const regexp = getPattern(pattern);
+        const objects = {};
+        for (const id in this.objects) {
+            if (regexp.test(id) && (!type || this.objects[id].type === type)) objects[id] = copy(this.objects[id]);
+        }
+        return objects;
+    }
+
+    async delObjectAsync(id, options) {
+        id = this.getId(id);
+        if (!this.objects[id]) throw new Error('Not exists');
+        for (const key of Object.keys(this.objects)) {
+            if (key === id || (options && options.recursive && key.startsWith(id + '.'))) {
+                delete this.objects[key];
+                delete this.states[key];
+            }
+        }
+    }
+
+    async getDevicesAsync() {
+        return this.getChildren(this.namespace, 'device').filter((obj) => obj._id.split('.').length === 3);
+    }
+
+    async getStatesOfAsync(device, channel) {
+        return this.getChildren(this.getId(channel ? device + '.' + channel : device), 'state');
+    }
+
+    // States
+    async setStateAsync(id, state) {
+        id = this.getId(id);
+        if (!this.objects[id]) throw new Error('State without object: ' + id);
+        this.states[id] = Object.assign({ ts: Date.now() }, state !== null && typeof state === 'object' ? state : { val: state, ack: false });
+        return id;
+    }
+
+    async getStateAsync(id) {
+        return copy(this.states[this.getId(id)]) || null;
+    }
+
+    async subscribeStatesAsync() {}
+    async subscribeForeignObjectsAsync() {}
+
+    // Files
+    async writeFileAsync(namespace, name, data) {
+        this.files[namespace + '/' + name] = Buffer.from(data);
+    }
+
+    async readFileAsync(namespace, name) {
+        const file = this.files[namespace + '/' + name];
+        if (!file) throw new Error('Not exists');
+        return { file: file };
+    }
+
+    async fileExistsAsync(namespace, name) {
+        return !!this.files[namespace + '/' + name];
+    }
+
+    async readDirAsync(namespace, dir) {
+        const prefix = namespace + '/' + (dir ? dir.replace(/\/$/, '') + '/' : '');
+        return Object.keys(this.files).filter((key) => key.startsWith(prefix)).map((key) => ({ file: key.substring(prefix.length), isDir: false }));
+    }
+
+    async delFileAsync(namespace, name) {
+        delete this.files[namespace + '/' + name];
+    }
+
+    // Messages
+    sendTo(instance, command, message) {
+        this.messages.push({ instance: instance, command: command, message: message });
+    }
+
+    async registerNotification(scope, category, message) {
+        this.notifications.push({ scope: scope, category: category, message: message });
+    }
+
+    /**
+     * Calls the handlers of an event and waits for the async handlers, e.g. 'ready' until main() is done
+     * @param {string} event Name of the event
+     * @param {...any} args Arguments of the handlers
+     */
+    async emitAsync(event, ...args) {
+        for (const handler of this.listeners(event)) {
+            await handler(...args);
+        }
+    }
+}
+
+module.exports = TestAdapter;
@@ -6,7 +6,8 @@ process.on('unhandledRejection', (e) => {
 // enable the should interface with sinon
 // and load chai-as-promised and sinon-chai by default
 const sinonChai = require('sinon-chai');
-const chaiAsPromised = require('chai-as-promised');
+// chai-as-promised 8 is an ES module, require() returns the module namespace
+const chaiAsPromised = require('chai-as-promised').default;
 const { should, use } = require('chai');
 
 should();